@@ -9,9 +9,63 @@ Filter.create = function FilterCreateSpec(spec) {
   /**
    * Compact "{ type: T, filters: F }" to "F" whilst extracting the "type" item
    */
-  var type = null;
+  var type         = null;
+  var sorts        = {};
+  var pageSize     = 20;
+  var maxPageSize  = null;
+  var historyDepth = 50;
+  var version      = null;
+  var migrations   = {};
+  var presets      = {};
   if (!Array.isArray(spec)) {
     type = spec.type || null;
+
+    /**
+     * "sorts" is a whitelist of sort names. Either an Array of field
+     * names, or an Object mapping sort names to field names
+     */
+    if (Array.isArray(spec.sorts)) {
+      spec.sorts.forEach(function(field){
+        sorts[ field ] = field;
+      });
+    } else if (spec.sorts) {
+      sorts = spec.sorts;
+    }
+    if (spec.hasOwnProperty('pageSize')) pageSize = spec.pageSize;
+    if (spec.hasOwnProperty('maxPageSize')) maxPageSize = spec.maxPageSize;
+    if (maxPageSize !== null && (typeof maxPageSize !== 'number'
+      || maxPageSize % 1 !== 0 || maxPageSize < pageSize)
+    ) {
+      throw new Error("maxPageSize must be an integer, and at least pageSize");
+    }
+    if (spec.hasOwnProperty('historyDepth')) historyDepth = spec.historyDepth;
+
+    /**
+     * "migrations" maps each version to a function which upgrades
+     * saved values from the version before it
+     */
+    if (spec.version) {
+      version    = spec.version;
+      migrations = spec.migrations || {};
+      if (typeof version !== 'number' || version % 1 !== 0 || version < 1) {
+        throw new Error("version must be a positive integer");
+      }
+    }
+
+    /**
+     * "presets" maps preset names to values, or to functions which
+     * return values
+     */
+    if (spec.presets) {
+      presets = spec.presets;
+      Object.keys(presets).forEach(function(k){
+        var preset = presets[k];
+        if (preset === null || (typeof preset !== 'object' && typeof preset !== 'function')) {
+          throw new Error("Invalid preset " + k);
+        }
+      });
+    }
+
     spec = spec.filters;
     if (!spec) throw "Missing filter definitions";
   }
@@ -65,7 +119,7 @@ Filter.create = function FilterCreateSpec(spec) {
    * Create a filter class from the supplied spec. Instances of
    * this class can then be created and values set on them.
    */
-  var filter = function Filter(set) {
+  var filter = function Filter(set, options) {
     this._data = {};
     this._reset = {};
     this._tracking = {
@@ -73,14 +127,70 @@ Filter.create = function FilterCreateSpec(spec) {
       queue:    {},
       trackers: {},
     };
-    if (set) {
-      Object.keys(set).forEach(function(k){
-        this._reset[k] = {
-          value: EJSON.clone(set[k])
-        };
-      }.bind(this));
-      this.set(set);
+    this._listeners = {
+      change: [],
+    };
+
+    /**
+     * Values passed to the constructor are trusted, so they may set
+     * locked entries. Entries with a "default" start off with it.
+     * Values with a "$version" from an older version of the spec are
+     * upgraded first.
+     *
+     * Used by at(), { override: false, current: values } checks the
+     * values as if they replaced "current" using set() and unset(), so
+     * locked entries must keep their current or default values
+     */
+    set = currentValues(set);
+    var trusted  = !options || options.override !== false;
+    var defaults = {};
+    names.forEach(function(k){
+      if (spec[k].hasOwnProperty('default')) defaults[k] = spec[k]['default'];
+    });
+    var values = {};
+    Object.keys(defaults).concat(Object.keys(set)).forEach(function(k){
+      values[k] = set.hasOwnProperty(k) ? set[k] : defaults[k];
+    });
+    Object.keys(values).forEach(function(k){
+      this._reset[k] = {
+        value: clone(values[k])
+      };
+    }.bind(this));
+    var errors = names.filter(function(k){
+      return spec[k].required && !values.hasOwnProperty(k);
+    }).map(function(k){
+      return { name: k, value: undefined, reason: 'required', message: k + " is required" };
+    });
+
+    try {
+      if (trusted) {
+        this.set(values, { override: true });
+      } else {
+        var current = {};
+        Object.keys(defaults).concat(Object.keys(options.current || {})).forEach(function(k){
+          current[k] = options.current && options.current.hasOwnProperty(k)
+            ? options.current[k]
+            : defaults[k];
+        });
+        this.set(current, { override: true });
+        this.set(values);
+        this.unset(Object.keys(current).filter(function(k){
+          return !values.hasOwnProperty(k) && !(spec.hasOwnProperty(k) && spec[k].required);
+        }));
+      }
+    } catch (e) {
+      if (!isValidationError(e)) throw e;
+      errors = e.errors.concat(errors);
+    }
+    if (errors.length) {
+      throw validationError(errors);
     }
+
+    this._history = {
+      undo:      [],
+      redo:      [],
+      replaying: false,
+    };
   };
 
   /**
@@ -93,10 +203,248 @@ Filter.create = function FilterCreateSpec(spec) {
   /**
    * Returns a list of names from the filter spec. They are
    * ordered in the same way they were passed if an Array was
-   * passed
+   * passed. If "deep" is true, the names of nested specs (see at())
+   * are included in their place, like "Address.City"
+   */
+  filter.names = filter.prototype.names = function (deep) {
+    if (!deep) return [].concat(names);
+    return names.reduce(function(list, name){
+      var nested = spec[name].filter.meta && spec[name].filter.meta.spec;
+      if (!nested) return list.concat([ name ]);
+      return list.concat(nested.names(true).map(function(k){
+        return name + '.' + k;
+      }));
+    }, []);
+  };
+
+  /**
+   * Returns a filter function for using this spec inside another
+   * one, for a sub-document at "field":
+   *
+   *   Address: AddressFilter.at('address')
+   *
+   * The value is the Object that this spec's save() returns, and the
+   * query is this spec's query() with every field prefixed by
+   * "field.". If "field" holds an Array of sub-documents, pass
+   * { array: true } to wrap the query in $elemMatch instead.
+   * Versioned specs can't be nested; upgrade nested values in the
+   * migrations of the outer spec instead.
+   *
+   * Locked entries of this spec can only be changed when the outer
+   * value is set with { override: true }, e.g. by the outer
+   * constructor. Otherwise they must keep their current values.
+   */
+  filter.at = function at (field, options) {
+    if (typeof field !== 'string') {
+      throw new Error('at takes a String field name');
+    }
+    if (version) {
+      throw new Error('A versioned spec can not be nested');
+    }
+    options = options || {};
+
+    var schema = filter.schema();
+    delete schema.$schema;
+    delete schema.properties.$sort;
+    delete schema.properties.$page;
+
+    var func = function Nested(value) {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('Invalid value passed to ' + (this && this.name || field));
+      }
+
+      var name  = this && this.name;
+      var outer = this && this.filter;
+      var query;
+      try {
+        query = new filter(value, {
+          override: !!(this && this.override),
+          current:  outer && name && outer._data.hasOwnProperty(name)
+            ? outer._data[name].value
+            : undefined,
+        }).query(undefined, false);
+      } catch (e) {
+        if (!name) throw e;
+        if (!(e instanceof Filter.ValidationError)) {
+          throw new Error(name + ': ' + (e.message || e));
+        }
+        throw new Filter.ValidationError(e.errors.map(function(error){
+          return {
+            name:    name + '.' + error.name,
+            value:   error.value,
+            reason:  error.reason,
+            message: name + ': ' + error.message,
+          };
+        }));
+      }
+      if (!Object.keys(query).length) return {};
+
+      var result = {};
+      if (options.array) {
+        result[ field ] = { $elemMatch: query };
+        return result;
+      }
+      return prefixQuery(query, field + '.');
+    };
+    func.meta = {
+      operator: 'nested',
+      schema:   schema,
+      spec:     filter,
+    };
+    return func;
+  };
+
+  /**
+   * Returns the definition this spec was created from, in the form
+   * accepted by Filter.create, with "filters" as an Array so that
+   * the names() order is kept. Used by extend() and Filter.compose()
+   */
+  filter._definition = function _definition () {
+    return {
+      type:         type,
+      sorts:        sorts,
+      pageSize:     pageSize,
+      maxPageSize:  maxPageSize,
+      historyDepth: historyDepth,
+      version:      version,
+      migrations:   migrations,
+      presets:      presets,
+      filters:      names.map(function(k){
+        var item = {};
+        item[k] = copyEntry(spec[k]);
+        return item;
+      }),
+    };
+  };
+
+  /**
+   * Returns the names of the presets, in the order they were defined
+   */
+  filter.presets = filter.prototype.presets = function () {
+    return Object.keys(presets);
+  };
+
+  /**
+   * Returns the values for a preset. Presets which are functions, and
+   * any values which are functions, are called with the filter
+   * instance, so they can be relative to the current time or user
+   */
+  var presetValues = function (name, instance) {
+    if (!presets.hasOwnProperty(name)) {
+      throw new Error("There is no preset " + name);
+    }
+    var preset = presets[name];
+    if (typeof preset === 'function') preset = preset(instance);
+    if (preset === null || typeof preset !== 'object') {
+      throw new Error("Preset " + name + " must return an Object");
+    }
+
+    var values = {};
+    Object.keys(preset).forEach(function(k){
+      values[k] = typeof preset[k] === 'function'
+        ? preset[k](instance)
+        : clone(preset[k]);
+    });
+    return values;
+  };
+
+  /**
+   * Returns the "version" of the spec, or null if it doesn't have one
+   */
+  filter.version = filter.prototype.version = function () {
+    return version;
+  };
+
+  /**
+   * Upgrades values saved by an older version of this spec, by
+   * running them through each of the migrations since. Values without
+   * a "$version" are treated as version 1, as they were saved before
+   * the spec had a version. Returns the upgraded values, without the
+   * "$version".
+   *
+   * @param  {Object} saved Values from save()
+   * @return {Object}       Values for the current version
+   */
+  filter.migrate = function migrate (saved) {
+    var values = {};
+    Object.keys(saved || {}).forEach(function(k){
+      if (k !== '$version') values[k] = saved[k];
+    });
+    if (!version) return values;
+
+    var from = saved && saved.hasOwnProperty('$version') ? saved.$version : 1;
+    if (typeof from !== 'number' || from % 1 !== 0 || from < 1) {
+      throw new Error("Invalid saved filter version " + from);
+    }
+    if (from > version) {
+      throw new Error("Saved filter version " + from + " is newer than " + version);
+    }
+
+    for (var v = from + 1; v <= version; ++v) {
+      if (!migrations.hasOwnProperty(v)) continue;
+      values = migrations[v](clone(values));
+      if (values === null || typeof values !== 'object') {
+        throw new Error("Migration to version " + v + " must return an Object");
+      }
+    }
+    return values;
+  };
+
+  /**
+   * Values passed in by code, e.g. to the constructor or reset(), are
+   * for the current version unless they have a "$version". Only saved
+   * values, from a query string, storage or a client, default to 1
+   */
+  var currentValues = function (values) {
+    var copy = {};
+    Object.keys(values || {}).forEach(function(k){
+      copy[k] = values[k];
+    });
+    if (version && !copy.hasOwnProperty('$version')) copy.$version = version;
+    return filter.migrate(copy);
+  };
+
+  /**
+   * Create a new spec based on this one. "filters" takes the same
+   * formats as Filter.create. New names are added to the end, names
+   * which already exist are overridden in place, and names with a
+   * null value are removed. "type", "sorts", "pageSize", "maxPageSize",
+   * "historyDepth", "version", "migrations" and "presets" replace
+   * those of this spec if passed.
    */
-  filter.names = filter.prototype.names = function () {
-    return [].concat(names);
+  filter.extend = function extend (ext) {
+    var definition = filter._definition();
+    ext = ext || {};
+
+    ['type', 'sorts', 'pageSize', 'maxPageSize', 'historyDepth', 'version', 'migrations', 'presets'].forEach(function(k){
+      if (ext.hasOwnProperty(k)) definition[k] = ext[k];
+    });
+
+    var filters = ext.filters || [];
+    if (!Array.isArray(filters)) filters = [ filters ];
+
+    filters.forEach(function(item){
+      Object.keys(item).forEach(function(k){
+        var i = -1;
+        definition.filters.forEach(function(existing, j){
+          if (existing.hasOwnProperty(k)) i = j;
+        });
+
+        var replacement = {};
+        replacement[k] = item[k];
+
+        if (item[k] === null) {
+          if (i === -1) throw new Error("There is no filter spec for " + k);
+          definition.filters.splice(i, 1);
+        } else if (i === -1) {
+          definition.filters.push(replacement);
+        } else {
+          definition.filters[i] = replacement;
+        }
+      });
+    });
+
+    return Filter.create(definition);
   };
 
   /**
@@ -127,14 +475,24 @@ Filter.create = function FilterCreateSpec(spec) {
         filter.meta(k, name[k]);
       });
     } else if (typeof value === 'object') {
-      Object.keys(value).forEach(function(k){
-        if (!spec[name].filter.meta) {
-          spec[name].filter.meta = {};
-        }
-        spec[name].filter.meta[k] = value[k];
+      // Filter functions can be shared between specs, e.g. by extend(),
+      // so the meta data is kept on this spec's entry instead
+      var merged = {};
+      Object.keys(spec[name].meta || {}).concat(Object.keys(value)).forEach(function(k){
+        merged[k] = value.hasOwnProperty(k) ? value[k] : spec[name].meta[k];
       });
+      spec[name].meta = merged;
+    } else if (!spec.hasOwnProperty(name) && name.indexOf('.') !== -1) {
+      var head   = name.substr(0, name.indexOf('.'));
+      var nested = spec.hasOwnProperty(head) && spec[head].filter.meta
+        && spec[head].filter.meta.spec;
+      if (!nested) throw new Error("There is no filter spec for " + name);
+      return nested.meta(name.substr(head.length + 1));
     } else {
-      var meta = spec[name].filter.meta || {};
+      var meta = {};
+      Object.keys(spec[name].filter.meta || {}).forEach(function(k){
+        meta[k] = spec[name].filter.meta[k];
+      });
       if (spec[name].hasOwnProperty('meta')) {
         Object.keys(spec[name].meta).forEach(function(k){
           meta[k] = spec[name].meta[k];
@@ -144,34 +502,346 @@ Filter.create = function FilterCreateSpec(spec) {
     }
   };
 
+  /**
+   * Returns a JSON Schema describing the values which can be set.
+   *
+   * If passed a single String argument, returns the schema for the
+   * value of that particular filter. This comes from the "schema"
+   * item in that filter's meta data. The built in filter factories
+   * supply this. If there is none, an empty schema, which accepts
+   * anything, is returned.
+   *
+   * Otherwise, the schema describes everything save() can return,
+   * including "$page", and "$sort" and "$version" if the spec has
+   * sorts or a version.
+   */
+  filter.schema = filter.prototype.schema = function schema(name) {
+    if (typeof name !== 'undefined') {
+      if (!spec.hasOwnProperty(name)) {
+        throw new Error("There is no filter spec for " + name);
+      }
+      return clone(filter.meta(name).schema || {});
+    }
+
+    var properties = {};
+    names.forEach(function(name){
+      properties[name] = filter.schema(name);
+    });
+
+    // The extra keys which save() can include
+    if (Object.keys(sorts).length) {
+      properties.$sort = {
+        type:       'object',
+        properties: {
+          name: { 'enum': Object.keys(sorts) },
+          dir:  { 'enum': [ 1, -1, 'asc', 'desc' ] },
+        },
+        required:             [ 'name' ],
+        additionalProperties: false,
+      };
+    }
+    properties.$page = {
+      type:       'object',
+      properties: {
+        page: { type: 'integer', minimum: 1 },
+        size: { type: 'integer', minimum: 1, maximum: largestPage() },
+      },
+      required:             [ 'page' ],
+      additionalProperties: false,
+    };
+    if (version) {
+      properties.$version = { type: 'integer', minimum: 1, maximum: version };
+    }
+
+    return {
+      $schema:              'http://json-schema.org/draft-04/schema#',
+      type:                 'object',
+      properties:           properties,
+      additionalProperties: false,
+    };
+  };
+
+  /**
+   * Returns a list of the sort names from the spec
+   */
+  filter.sorts = filter.prototype.sorts = function () {
+    return Object.keys(sorts);
+  };
+
+  /**
+   * Get or set the sort.
+   *
+   * If passed no arguments, returns the current sort as an Object
+   * like { name: 'Price', dir: -1 }, or undefined if there is none.
+   *
+   * If passed a sort name from the spec, and an optional direction
+   * (1, -1, 'asc' or 'desc'), sets the sort. Pass null to remove it.
+   */
+  filter.prototype.sort = function sort(name, dir) {
+    if (arguments.length === 0) return this.get('$sort');
+    if (name === null) return this.unset('$sort');
+    return this.set('$sort', { name: name, dir: dir });
+  };
+
+  /**
+   * Get or set the page.
+   *
+   * If passed no arguments, returns the current page as an Object
+   * like { page: 2, size: 20 }, or undefined if there is none. Pages
+   * are numbered from 1.
+   *
+   * If passed a page number, and an optional page size, sets the
+   * page. The size defaults to the current size, or the "pageSize"
+   * from the spec. Pass null to remove it.
+   */
+  filter.prototype.page = function page(n, size) {
+    if (arguments.length === 0) return this.get('$page');
+    if (n === null) return this.unset('$page');
+    return this.set('$page', { page: n, size: size });
+  };
+
+  /**
+   * Returns options for Collection.find() from the current sort and
+   * page. E.g: { sort: { price: -1 }, skip: 20, limit: 20 }
+   */
+  filter.prototype.options = function options(reactivity) {
+    var options = {};
+
+    var sort = this.get('$sort', reactivity);
+    if (sort) {
+      options.sort = {};
+      options.sort[ sorts[ sort.name ] ] = sort.dir;
+    }
+
+    var page = this.get('$page', reactivity);
+    if (page) {
+      options.skip  = (page.page - 1) * page.size;
+      options.limit = page.size;
+    }
+
+    return options;
+  };
+
+  /**
+   * Validates and normalises a value for "$sort"
+   */
+  var sortValue = function (value) {
+    if (value === null || typeof value !== 'object'
+      || !sorts.hasOwnProperty(value.name)
+    ) {
+      throw new Error("There is no sort spec for " + (value && value.name));
+    }
+    var dir = value.dir;
+    if (typeof dir === 'undefined' || dir === null || dir === 'asc') dir = 1;
+    if (dir === 'desc') dir = -1;
+    if (dir !== 1 && dir !== -1) {
+      throw new Error("Invalid sort direction for " + value.name);
+    }
+    return { name: value.name, dir: dir };
+  };
+
+  /**
+   * "maxPageSize" limits the page sizes which can be set, e.g. by a
+   * client through Filter.publish. It defaults to 100, or "pageSize"
+   * if that is bigger
+   */
+  var largestPage = function () {
+    return maxPageSize === null ? Math.max(100, pageSize) : maxPageSize;
+  };
+
+  /**
+   * Validates and normalises a value for "$page"
+   */
+  var pageValue = function (value, current) {
+    if (value === null || typeof value !== 'object') {
+      throw new Error("Invalid page");
+    }
+    var page = parseInt(value.page);
+    var size = value.size;
+    if (typeof size === 'undefined' || size === null) {
+      size = current ? current.size : pageSize;
+    }
+    size = parseInt(size);
+    if (isNaN(page) || page < 1 || isNaN(size) || size < 1) {
+      throw new Error("Invalid page");
+    }
+    if (size > largestPage()) {
+      throw new Error("Page size can not be more than " + largestPage());
+    }
+    return { page: page, size: size };
+  };
+
+  /**
+   * Add a listener for an event. The only event is "change", which
+   * is fired once per batch of changes, e.g. a single set(), with:
+   *
+   *   {
+   *     names:     [ 'MinPrice', 'MaxPrice' ],
+   *     oldValues: { MinPrice: 3 },
+   *     newValues: { MinPrice: 5, MaxPrice: 10 }
+   *   }
+   *
+   * Values which weren't set are left out of oldValues/newValues
+   */
+  filter.prototype.on = function on(event, fn) {
+    if (!this._listeners.hasOwnProperty(event)) {
+      throw new Error("Unknown event " + event);
+    }
+    if (typeof fn !== 'function') {
+      throw new Error("Listener must be a function");
+    }
+    this._listeners[ event ].push(fn);
+    return this;
+  };
+
+  /**
+   * Remove a listener. If no listener is passed, removes all of the
+   * listeners for the event. If no event is passed, removes all of
+   * the listeners
+   */
+  filter.prototype.off = function off(event, fn) {
+    Object.keys(this._listeners).forEach(function(k){
+      if (typeof event !== 'undefined' && k !== event) return;
+      this._listeners[ k ] = this._listeners[ k ].filter(function(listener){
+        return typeof fn !== 'undefined' && listener !== fn;
+      });
+    }.bind(this));
+    return this;
+  };
+
+  /**
+   * Undo the last batch of changes. E.g. a single set() or reset()
+   */
+  filter.prototype.undo = function undo() {
+    var history = this._history;
+    if (!history.undo.length) return this;
+    history.redo.push(clone(this._data));
+    this._replay(history.undo.pop());
+    return this;
+  };
+
+  /**
+   * Redo the last batch of changes that was undone
+   */
+  filter.prototype.redo = function redo() {
+    var history = this._history;
+    if (!history.redo.length) return this;
+    history.undo.push(clone(this._data));
+    this._replay(history.redo.pop());
+    return this;
+  };
+
+  /**
+   * Returns true if there is anything to undo
+   */
+  filter.prototype.canUndo = function canUndo(reactivity) {
+    if (reactivity !== false) this._trackDepend('$history');
+    return this._history.undo.length > 0;
+  };
+
+  /**
+   * Returns true if there is anything to redo
+   */
+  filter.prototype.canRedo = function canRedo(reactivity) {
+    if (reactivity !== false) this._trackDepend('$history');
+    return this._history.redo.length > 0;
+  };
+
+  /**
+   * Replace the current values with those of a preset, in the same way
+   * as clear(values). An invalid preset throws without changing the
+   * filter
+   */
+  filter.prototype.applyPreset = function applyPreset(name) {
+    return this.clear(presetValues(name, this));
+  };
+
+  /**
+   * Returns the name of the first preset which applyPreset() would
+   * leave the current values unchanged for, or null if there is none
+   */
+  filter.prototype.activePreset = function activePreset(reactivity) {
+    var save = this.save(reactivity);
+    var list = Object.keys(presets);
+    for (var i = 0; i < list.length; ++i) {
+      var copy = this._copy();
+      try {
+        copy.clear(presetValues(list[i], this));
+      } catch (e) {
+        if (!isValidationError(e)) throw e;
+        continue;
+      }
+      if (equals(copy.save(false), save)) return list[i];
+    }
+    return null;
+  };
+
+  /**
+   * A copy of this filter, without any reactivity or listeners, for
+   * trying out changes on
+   */
+  filter.prototype._copy = function _copy() {
+    var copy = new filter(this.save(false));
+    copy._reset = this._reset;
+    return copy;
+  };
+
+  /**
+   * Replaces all of the values, including the sort and page, with
+   * those from a history entry, without recording another entry
+   */
+  filter.prototype._replay = function _replay(to) {
+    this._history.replaying = true;
+    try {
+      this._batch(function(){
+        Object.keys(to).forEach(function(k){
+          this.set(k, to[k].value, { override: true });
+        }.bind(this));
+
+        Object.keys(this._data).forEach(function(k){
+          if (to.hasOwnProperty(k)) return;
+          this.unset(k, { override: true });
+        }.bind(this));
+
+        this._trackChanged('$history');
+      });
+    } finally {
+      this._history.replaying = false;
+    }
+  };
+
   filter.prototype.reset = function() {
 
     var set = arguments[0];
     if (arguments.length > 1) {
       set = {};
       set[arguments[0]] = arguments[1];
+    } else if (set) {
+      set = currentValues(set);
     }
 
-    var from = EJSON.clone(this._data);
-    var to   = EJSON.clone(this._reset);
+    var from = clone(this._data);
+    var to   = clone(this._reset);
     if (set) {
       Object.keys(set).forEach(function(k){
-        to[k] = { value: EJSON.clone(set[k]) };
+        to[k] = { value: clone(set[k]) };
       });
     }
 
-    this._pauseTracking();
-
-    Object.keys(to).forEach(function(k){
-      this.set(k, to[k].value);
-    }.bind(this));
+    this._batch(function(){
 
-    Object.keys(from).forEach(function(k){
-      if (to.hasOwnProperty(k)) return;
-      this.unset(k);
-    }.bind(this));
+      // Values from the constructor may restore locked entries
+      Object.keys(to).forEach(function(k){
+        this.set(k, to[k].value, {
+          override: !set || !set.hasOwnProperty(k),
+        });
+      }.bind(this));
 
-    this._continueTracking();
+      Object.keys(from).forEach(function(k){
+        if (to.hasOwnProperty(k)) return;
+        this.unset(k, { override: true });
+      }.bind(this));
+    });
 
     return this;
   };
@@ -179,30 +849,54 @@ Filter.create = function FilterCreateSpec(spec) {
   /**
    * Remove a filter value
    * @param {String} k The key of the filter value to remove
+   *
+   * Throws for "required" entries, and for "locked" entries unless
+   * the last argument is { override: true }
    */
   filter.prototype.unset = function unset() {
-    this._pauseTracking();
+    var args    = Array.prototype.slice.call(arguments);
+    var options = {};
+    var last    = args[ args.length - 1 ];
+    if (last !== null && typeof last === 'object' && !Array.isArray(last)) {
+      options = args.pop();
+    }
+
+    var keys = args.reduce(function(keys, arg){
+      return keys.concat(arg);
+    }, []);
+    var errors = [];
+    keys.forEach(function(k){
+      if (!spec.hasOwnProperty(k) || !this._data.hasOwnProperty(k)) return;
+      var value = this._data[k].value;
+      if (spec[k].required) {
+        errors.push({ name: k, value: value, reason: 'required', message: k + " is required" });
+      } else if (spec[k].locked && !options.override) {
+        errors.push({ name: k, value: value, reason: 'locked', message: k + " is locked" });
+      }
+    }.bind(this));
+    if (errors.length) {
+      throw new Filter.ValidationError(errors);
+    }
 
-    Array.prototype.slice.call(arguments).forEach(function(arg) {
-      if (!Array.isArray(arg)) arg = [arg];
-      arg.forEach(function(k) {
+    this._batch(function(){
+      keys.forEach(function(k) {
         if (this._data.hasOwnProperty(k)) {
-          if (spec[k].hasOwnProperty('beforeUnset')) {
+          if (spec.hasOwnProperty(k) && spec[k].hasOwnProperty('beforeUnset')) {
             spec[k].beforeUnset.call({ name: k, filter: this });
           }
           delete this._data[k];
           this._trackChanged(k);
+          if (spec.hasOwnProperty(k)) this._tracking.filtersChanged = true;
         }
       }.bind(this));
-    }.bind(this));
-
-    this._continueTracking();
+    });
 
     return this;
   };
 
   /**
-   * Clear all filter values
+   * Clear all filter values. Entries with a "default" go back to it,
+   * and "locked" and "required" entries keep their values
    */
   filter.prototype.clear = function clear() {
 
@@ -212,21 +906,30 @@ Filter.create = function FilterCreateSpec(spec) {
       set[arguments[0]] = arguments[1];
     }
 
-    this._pauseTracking();
-    Object.keys(this._data).forEach(function(k){
-      if (set && set.hasOwnProperty(k)) {
+    this._batch(function(){
+      Object.keys(this._data).forEach(function(k){
+        if (!spec.hasOwnProperty(k) && !set.hasOwnProperty(k)) return;
+        if (set && set.hasOwnProperty(k)) {
+          this.set(k, set[k]);
+        } else if (spec[k].locked) {
+          return;
+        } else if (spec[k].hasOwnProperty('default')) {
+          this.set(k, spec[k]['default']);
+        } else if (!spec[k].required) {
+          this.unset(k);
+        }
+      }.bind(this));
+
+      Object.keys(set).forEach(function(k){
+        if (this._data.hasOwnProperty(k)) return;
         this.set(k, set[k]);
-      } else {
-        this.unset(k);
-      }
-    }.bind(this));
-
-    Object.keys(set).forEach(function(k){
-      if (this._data.hasOwnProperty(k)) return;
-      this.set(k, set[k]);
-    }.bind(this));
+      }.bind(this));
 
-    this._continueTracking();
+      names.forEach(function(k){
+        if (this._data.hasOwnProperty(k) || set.hasOwnProperty(k)) return;
+        if (spec[k].hasOwnProperty('default')) this.set(k, spec[k]['default']);
+      }.bind(this));
+    });
 
     return this;
   };
@@ -237,7 +940,7 @@ Filter.create = function FilterCreateSpec(spec) {
   filter.prototype.get = function get(name, reactivity) {
     if (reactivity !== false) this._trackDepend(name);
     if (!this._data.hasOwnProperty(name)) return undefined;
-    return EJSON.clone(this._data[ name ].value);
+    return clone(this._data[ name ].value);
   },
 
   /**
@@ -247,61 +950,129 @@ Filter.create = function FilterCreateSpec(spec) {
    *
    * If setting multiple values at the same time, just
    * pass a single Object of key/values.
+   *
+   * Throws for "locked" entries unless passed a final argument of
+   * { override: true }
+   *
+   * Every value is validated before any of them are applied. If any
+   * are invalid, a Filter.ValidationError listing all of them is
+   * thrown, and nothing is changed
    */
   filter.prototype.set = function set() {
-    var items = {};
-    if (arguments.length === 1) {
-      items = arguments[0];
+    var items   = {};
+    var options = {};
+    if (typeof arguments[0] === 'object' && arguments[0] !== null) {
+      items   = arguments[0];
+      options = arguments[1] || {};
     } else {
       items[arguments[0]] = arguments[1];
+      options = arguments[2] || {};
     }
 
-    this._pauseTracking();
+    var errors  = [];
+    var changes = {};
 
     Object.keys(items).forEach(function(key) {
-      var value = items[key];
-
-      if (!spec.hasOwnProperty(key)) {
-        throw new Error("There is no filter spec for " + key);
-      }
+      var value   = items[key];
+      var current = this._data.hasOwnProperty(key) ? this._data[key].value : undefined;
+      var fail    = function (reason, message) {
+        errors.push({ name: key, value: items[key], reason: reason, message: message });
+      };
 
-      if (spec[key].hasOwnProperty('beforeSet')) {
-        spec[key].beforeSet.call({ name: key, filter: this }, value, function(newValue){
-          value = newValue;
-        });
+      try {
+        if (key === '$sort') {
+          value = sortValue(value);
+        } else if (key === '$page') {
+          value = pageValue(value, this._data.$page && this._data.$page.value);
+        }
+      } catch (e) {
+        return fail('invalid', e.message || String(e));
       }
 
-      if (!this._data.hasOwnProperty(key)) {
-        this._data[key] = {};
+      if (key !== '$sort' && key !== '$page') {
+        if (!spec.hasOwnProperty(key)) {
+          return fail('unknown', "There is no filter spec for " + key);
+        }
+        if (spec[key].locked && !options.override && !equals(current, value)) {
+          return fail('locked', key + " is locked");
+        }
+        if (spec[key].hasOwnProperty('beforeSet')) {
+          spec[key].beforeSet.call({ name: key, filter: this }, value, function(newValue){
+            value = newValue;
+          });
+        }
       }
 
       // No change?
-      if (EJSON.equals(this._data[key].value, value)) return;
-
-      this._data[key].value = EJSON.clone(value);
-      this._trackChanged(key);
-      changed = true;
+      if (equals(current, value)) return;
 
       /**
        * Call filter function here so it throws if something invalid
        * was supplied.
        */
-      spec[key].filter.call({
-        name:   key,
-        filter: this,
-      }, this._data[key].value);
+      if (spec.hasOwnProperty(key)) {
+        try {
+          spec[key].filter.call({
+            name:     key,
+            filter:   this,
+            override: !!options.override,
+          }, clone(value));
+        } catch (e) {
+          if (e instanceof Filter.ValidationError) {
+            errors = errors.concat(e.errors);
+            return;
+          }
+          return fail('invalid', e.message || String(e));
+        }
+      }
 
+      changes[key] = value;
     }.bind(this));
 
-    this._continueTracking();
+    if (errors.length) {
+      throw new Filter.ValidationError(errors);
+    }
+
+    this._batch(function(){
+      if (items.hasOwnProperty('$page')) this._tracking.pageSet = true;
+
+      Object.keys(changes).forEach(function(key) {
+        if (!this._data.hasOwnProperty(key)) {
+          this._data[key] = {};
+        }
+        this._data[key].value = clone(changes[key]);
+        this._trackChanged(key);
+
+        if (spec.hasOwnProperty(key)) this._tracking.filtersChanged = true;
+      }.bind(this));
+    });
 
     return this;
   };
 
+  /**
+   * Checks values in the same way as the constructor, without
+   * throwing. Returns the errors that a Filter.ValidationError would
+   * have, or an empty Array if the values are valid
+   *
+   * @param  {Object} values As passed to the constructor
+   * @return {Array}         [{ name, value, reason, message }]
+   */
+  filter.validate = function validate(values) {
+    try {
+      new filter(values);
+    } catch (e) {
+      if (e instanceof Filter.ValidationError) return e.errors;
+      throw e;
+    }
+    return [];
+  };
+
   /**
    * Returns a representation of this filters set values which can
    * be saved and used in the constructor when creating a new copy
-   * of this filter.
+   * of this filter. If the spec has a "version", it is included as
+   * "$version" so older saves can be upgraded later.
    *
    * @return {Object} All of the filters currently set keys/values
    */
@@ -311,12 +1082,196 @@ Filter.create = function FilterCreateSpec(spec) {
     var save = {};
     Object.keys(this._data).forEach(function(k) {
       if (this._data[k].hasOwnProperty('value')) {
-        save[k] = EJSON.clone(this._data[k].value);
+        save[k] = clone(this._data[k].value);
       }
     }.bind(this));
+    if (version) save.$version = version;
     return save;
   };
 
+  /**
+   * Returns a human readable description of each set filter value,
+   * in names() order. E.g, for displaying "filter chips":
+   *
+   *   [{
+   *     name:     'MinPrice',
+   *     label:    'Price',     // meta "label", or the name
+   *     operator: 'at least',
+   *     value:    '3',
+   *     remove:   function, which unsets MinPrice
+   *   }]
+   *
+   * @param  {String|Object} locale Name of a table in Filter.locales,
+   *                                or a table. Defaults to
+   *                                Filter.defaultLocale
+   * @return {Array}                One entry per set filter value
+   */
+  filter.prototype.describe = function describe(locale, reactivity) {
+    if (reactivity !== false) this._trackDepend();
+
+    if (typeof locale === 'undefined' || locale === null) {
+      locale = Filter.defaultLocale;
+    }
+    if (typeof locale === 'string') {
+      if (!Filter.locales.hasOwnProperty(locale)) {
+        throw new Error("There is no locale " + locale);
+      }
+      locale = Filter.locales[ locale ];
+    }
+
+    return names.filter(function(name){
+      return this._data.hasOwnProperty(name)
+        && this._data[name].hasOwnProperty('value');
+    }.bind(this)).reduce(function(list, name){
+      var meta    = filter.meta(name);
+      var value   = clone(this._data[name].value);
+      var context = { name: name, filter: this };
+
+      /**
+       * Nested specs describe each of their own values. Removing one
+       * removes it from this filter's value for the nested spec
+       */
+      if (meta.spec) {
+        var nested = new meta.spec(value);
+        return list.concat(nested.describe(locale, false).map(function(item){
+          var remove = item.remove;
+          item.name   = name + '.' + item.name;
+          item.label  = (meta.label || name) + ' ' + item.label;
+          item.remove = function () {
+            remove();
+            var save = nested.save(false);
+            if (Object.keys(save).length) {
+              this.set(name, save);
+            } else {
+              this.unset(name);
+            }
+          }.bind(this);
+          return item;
+        }.bind(this)));
+      }
+
+      return list.concat([{
+        name:     name,
+        label:    meta.label || name,
+        operator: describeOperator(meta, value, locale, context),
+        value:    typeof meta.format === 'function'
+          ? meta.format.call(context, value, locale)
+          : describeValue(value, locale),
+        remove:   spec[name].required || spec[name].locked ? null : function () {
+          this.unset(name);
+        }.bind(this),
+      }]);
+    }.bind(this), []);
+  };
+
+  /**
+   * Returns a URL query string representation of this filters set
+   * values. Each value is EJSON encoded so that Dates and nested
+   * Objects survive the round trip, and keys are ordered the same
+   * way as names() so the same values always produce the same string.
+   * The sort and page come last, followed by the spec version if it
+   * has one. Locked values are left out
+   *
+   * @return {String} e.g. "MinPrice=3&AddedBefore=%7B%22%24date%22..."
+   */
+  filter.prototype.toQueryString = function toQueryString(reactivity) {
+    var save = unlocked(this.save(reactivity));
+    return names.concat(['$sort', '$page', '$version']).filter(function(k){
+      return save.hasOwnProperty(k);
+    }).map(function(k){
+      return encodeURIComponent(k) + '='
+        + encodeURIComponent(Filter.adapter.stringify(save[k], { canonical: true }));
+    }).join('&');
+  };
+
+  /**
+   * Create a new filter from a String previously generated by
+   * toQueryString. Values are passed through set() so they are
+   * validated in exactly the same way as when calling the constructor.
+   * Locked values can't come from the query string, so supply them
+   * in "values" instead
+   *
+   * @param  {String} str    Query string, with or without a leading "?"
+   * @param  {Object} values Optional trusted values, e.g. locked ones
+   * @return {Object}        A new instance of this filter class
+   */
+  filter.fromQueryString = function fromQueryString(str, values) {
+    if (typeof str !== 'string') {
+      throw new Error('fromQueryString takes a String argument');
+    }
+
+    var set = {};
+    str.replace(/^\?/, '').split('&').forEach(function(pair){
+      if (!pair.length) return;
+
+      var i     = pair.indexOf('=');
+      var key   = decodeURIComponent((i < 0 ? pair : pair.substr(0, i)).replace(/\+/g, ' '));
+      var value = i < 0 ? '' : decodeURIComponent(pair.substr(i + 1).replace(/\+/g, ' '));
+
+      try {
+        set[key] = Filter.adapter.parse(value);
+      } catch (e) {
+        throw new Error('Invalid query string value for ' + key);
+      }
+    });
+
+    var locked = filter._locked(set);
+    if (locked.length) {
+      throw new Filter.ValidationError(locked.map(function(name){
+        return {
+          name:    name,
+          value:   undefined,
+          reason:  'locked',
+          message: name + " is locked",
+        };
+      }));
+    }
+
+    set = filter.migrate(set);
+    Object.keys(values || {}).forEach(function(k){
+      set[k] = values[k];
+    });
+
+    return new filter(set);
+  };
+
+  /**
+   * Returns a copy of some saved values without the locked ones, for
+   * sending somewhere they could be tampered with. Locked entries of
+   * nested specs are left out too
+   */
+  var unlocked = filter._unlocked = function (values) {
+    var copy = {};
+    Object.keys(values).forEach(function(k){
+      if (spec.hasOwnProperty(k) && spec[k].locked) return;
+      var nested = nestedSpec(k);
+      copy[k] = nested && isPlainObject(values[k])
+        ? nested._unlocked(values[k])
+        : values[k];
+    });
+    return copy;
+  };
+
+  /**
+   * Returns the names of the locked entries in some values, dotted
+   * for those of nested specs, like "Address.Tenant"
+   */
+  filter._locked = function (values) {
+    return Object.keys(values).reduce(function(list, k){
+      if (spec.hasOwnProperty(k) && spec[k].locked) return list.concat([ k ]);
+      var nested = nestedSpec(k);
+      if (!nested || !isPlainObject(values[k])) return list;
+      return list.concat(nested._locked(values[k]).map(function(name){
+        return k + '.' + name;
+      }));
+    }, []);
+  };
+
+  var nestedSpec = function (name) {
+    return spec.hasOwnProperty(name) && spec[name].filter.meta
+      && spec[name].filter.meta.spec || null;
+  };
+
   /**
    * Returns a mongo query matching the spec and supplied
    * filter values
@@ -334,28 +1289,313 @@ Filter.create = function FilterCreateSpec(spec) {
     Object.keys(spec).forEach(function(key) {
       if (!this._data.hasOwnProperty(key)) return;
       if (this._data[key].hasOwnProperty('value')) {
+        // Values were checked when they were set, so are trusted here
         var query = spec[key].filter.call({
-          name:   key,
-          filter: this
+          name:     key,
+          filter:   this,
+          override: true,
         }, this._data[key].value);
         queries.push(query);
       }
     }.bind(this));
 
-    var compact = {};
-    queries.forEach(function(query) {
-      Object.keys(query).forEach(function(k) {
-        if (compact === null) return;
-        if (compact.hasOwnProperty(k)) return compact = null;
-        compact[k] = query[k];
+    return Filter.merge(queries);
+  };
+
+  /**
+   * Returns an aggregation pipeline, starting with a $match stage
+   * built from query(). Options:
+   *
+   *   query: Optional query to merge in, as with query()
+   *   sort:  Adds a { $sort: sort } stage
+   *   skip:  Adds a { $skip: skip } stage
+   *   limit: Adds a { $limit: limit } stage
+   *   count: If true, the sort, skip and limit stages are put in a
+   *          $facet as "results", alongside a "count" of all of the
+   *          matching documents. If there are none, "results" is a
+   *          single { $skip: 0 } stage
+   *
+   * sort, skip and limit default to those from options()
+   *
+   * Throws if a filter uses an operator which isn't allowed in
+   * $match, such as $where
+   *
+   * @param  {Object} options As above
+   * @return {Array}          The pipeline
+   */
+  filter.prototype.pipeline = function pipeline(options, reactivity) {
+    options = options || {};
+
+    var match = this.query(options.query, reactivity);
+
+    var operator = findOperator(match, ['$where', '$near', '$nearSphere']);
+    if (operator) {
+      var culprits = names.filter(function(k){
+        if (!this._data.hasOwnProperty(k) || !this._data[k].hasOwnProperty('value')) {
+          return false;
+        }
+        return !!findOperator(spec[k].filter.call({
+          name:     k,
+          filter:   this,
+          override: true,
+        }, this._data[k].value), [ operator ]);
+      }.bind(this));
+      throw new Error(operator + " can not be used in an aggregation pipeline"
+        + (culprits.length ? ". Used by: " + culprits.join(', ') : ''));
+    }
+
+    var defaults = this.options(reactivity);
+    Object.keys(options).forEach(function(k){
+      defaults[k] = options[k];
+    });
+    options = defaults;
+
+    var stages = [];
+    if (options.hasOwnProperty('sort')) {
+      if (options.sort === null || typeof options.sort !== 'object') {
+        throw new Error("Invalid sort passed to pipeline");
+      }
+      stages.push({ $sort: options.sort });
+    }
+    ['skip', 'limit'].forEach(function(k){
+      if (!options.hasOwnProperty(k)) return;
+      var n = options[k];
+      if (typeof n !== 'number' || n % 1 !== 0 || n < (k === 'limit' ? 1 : 0)) {
+        throw new Error("Invalid " + k + " passed to pipeline");
+      }
+      var stage = {};
+      stage[ '$' + k ] = n;
+      stages.push(stage);
+    });
+
+    var pipeline = [{ $match: hoistText(match) }];
+    if (options.count) {
+      // Mongo doesn't allow an empty $facet sub-pipeline
+      pipeline.push({
+        $facet: {
+          results: stages.length ? stages : [{ $skip: 0 }],
+          count:   [{ $count: 'count' }],
+        },
+      });
+    } else {
+      pipeline = pipeline.concat(stages);
+    }
+    return pipeline;
+  };
+
+  /**
+   * Returns a mongo query matching every document which query()
+   * doesn't. See Filter.Not. An empty query matches everything, so
+   * its inverse matches nothing
+   *
+   * @param  {Object} query Optional query to merge in before inverting
+   * @return {Object}       The mongo query
+   */
+  filter.prototype.inverted = function inverted(query, reactivity) {
+    var selector = this.query(query, reactivity);
+    if (Object.keys(selector).length === 0) return { $nor: [ {} ] };
+    return Filter.Not(function(){
+      return selector;
+    })();
+  };
+
+  /**
+   * Tests a plain JavaScript Object against the current filter
+   * values, without needing a collection
+   *
+   * @param  {Object}  doc The document to test
+   * @return {Boolean}     True if the document matches query()
+   */
+  filter.prototype.matches = function matches(doc, reactivity) {
+    return Filter.match(this.query(undefined, reactivity), doc);
+  };
+
+  /**
+   * Returns a function which tests documents against the filter
+   * values as they are right now. Useful with Array.prototype.filter:
+   *
+   *   products.filter(filter.predicate())
+   *
+   * @return {Function} function(doc) returning a Boolean
+   */
+  filter.prototype.predicate = function predicate(reactivity) {
+    var query = this.query(undefined, reactivity);
+    return function (doc) {
+      return Filter.match(query, doc);
+    };
+  };
+
+  /**
+   * Checks whether the current filter values contradict each other,
+   * so that query() can never match anything. E.g. a MinPrice of 10
+   * and a MaxPrice of 5. Fields may hold Arrays, whose elements can
+   * each match a different filter, so equality values from different
+   * filters are only compared when one of them has "scalar" meta
+   * data. Bounds are assumed to be on single values, and only top
+   * level fields are checked.
+   *
+   * @return {Boolean|Array} false, or a list of the conflicts like:
+   *                         [{ field: 'price', names: [ 'MinPrice', 'MaxPrice' ] }]
+   */
+  filter.prototype.isImpossible = function isImpossible(reactivity) {
+    if (reactivity !== false) this._trackDepend();
+
+    var fields = {};
+    names.forEach(function(k){
+      if (!this._data.hasOwnProperty(k) || !this._data[k].hasOwnProperty('value')) {
+        return;
+      }
+      fieldClauses(spec[k].filter.call({
+        name:     k,
+        filter:   this,
+        override: true,
+      }, this._data[k].value)).forEach(function(clause){
+        if (!fields.hasOwnProperty(clause.field)) fields[ clause.field ] = [];
+        fields[ clause.field ].push({ name: k, value: clause.value });
+      });
+    }.bind(this));
+
+    var scalar = function (clauses) {
+      return clauses.some(function(clause){
+        return !!filter.meta(clause.name).scalar;
+      });
+    };
+
+    var conflicts = [];
+    var found = function (field, names) {
+      names = names.filter(function(name, i){
+        return names.indexOf(name) === i;
+      });
+      var exists = conflicts.some(function(c){
+        return c.field === field && equals(c.names, names);
+      });
+      if (!exists) conflicts.push({ field: field, names: names });
+    };
+
+    Object.keys(fields).forEach(function(field){
+      var clauses = fields[ field ];
+      clauses.forEach(function(a, i){
+        if (contradicts([ a.value ], true)) return found(field, [ a.name ]);
+        clauses.slice(i + 1).forEach(function(b){
+          if (contradicts([ a.value, b.value ], scalar(clauses))) {
+            found(field, [ a.name, b.name ]);
+          }
+        });
       });
     });
 
-    return compact ? compact : {
-      $and: queries
+    return conflicts.length ? conflicts : false;
+  };
+
+  /**
+   * Subscribe to a publication created with Filter.publish, passing
+   * it the current filter values. The subscription is re-made
+   * whenever the filter values change. Meteor only.
+   *
+   * @param  {String} name      The name passed to Filter.publish
+   * @param  {Object} callbacks Optional onReady/onStop callbacks
+   * @return {Object}           Handle with reactive ready() and stop()
+   */
+  filter.prototype.subscribe = function subscribe(name, callbacks) {
+    if (typeof name !== 'string') {
+      throw new Error('subscribe takes a String name');
+    }
+
+    var dep = new Tracker.Dependency();
+    var sub = null;
+
+    var computation = Tracker.autorun(function(){
+      sub = Meteor.subscribe(name, unlocked(this.save()), callbacks);
+      dep.changed();
+    }.bind(this));
+
+    return {
+      ready: function () {
+        dep.depend();
+        return sub.ready();
+      },
+      stop: function () {
+        computation.stop();
+      },
+    };
+  };
+
+  /**
+   * Remember the filter values in a storage from Filter.storage, or
+   * anything else with the same load() and save() functions. The
+   * values saved under "key" are restored straight away, or whenever
+   * the storage loads them, without adding an undo step. Stored values
+   * which are no longer valid are ignored. After that, save() is
+   * written back after each batch of changes, once there have been no
+   * more for "delay" milliseconds. Locked values are never stored.
+   *
+   * @param  {Object} storage E.g. Filter.storage.local()
+   * @param  {String} key     Name to store the values under
+   * @param  {Object} options Optional "delay", defaults to 250
+   * @return {Object}         Handle with a stop() function, which
+   *                          writes any pending changes
+   */
+  filter.prototype.persist = function persist(storage, key, options) {
+    if (!storage || typeof storage.load !== 'function'
+      || typeof storage.save !== 'function'
+    ) {
+      throw new Error('persist takes a storage with load and save functions');
+    }
+    if (typeof key !== 'string') {
+      throw new Error('persist takes a String key');
+    }
+    options = options || {};
+    var delay = options.hasOwnProperty('delay') ? options.delay : 250;
+
+    var timer   = null;
+    var stopped = false;
+
+    var write = function () {
+      timer = null;
+      storage.save(key, unlocked(this.save(false)));
+    }.bind(this);
+
+    var listener = function () {
+      if (timer !== null) clearTimeout(timer);
+      timer = setTimeout(write, delay);
+    };
+
+    var loading = storage.load(key, function (saved) {
+      if (stopped) return;
+
+      if (saved) {
+        this._history.replaying = true;
+        try {
+          this.clear(unlocked(filter.migrate(saved)));
+        } catch (e) {
+          // Stored values which are no longer valid are ignored
+        } finally {
+          this._history.replaying = false;
+        }
+      }
+
+      this.on('change', listener);
+    }.bind(this));
+
+    return {
+      stop: function () {
+        if (stopped) return;
+        stopped = true;
+        if (loading && typeof loading.stop === 'function') loading.stop();
+        this.off('change', listener);
+        if (timer !== null) {
+          clearTimeout(timer);
+          write();
+        }
+      }.bind(this),
     };
   };
 
+  /**
+   * Returns a copy of this filter, with some values changed. The
+   * values are set in the same way as set(), so locked entries can't
+   * be changed
+   */
   filter.prototype.clone = function () {
     var set = arguments[0];
     if (arguments.length > 1) {
@@ -369,28 +1609,135 @@ Filter.create = function FilterCreateSpec(spec) {
       if (!set.hasOwnProperty(k)) set[k] = cur[k];
     });
 
-    var f = new filter(set);
+    var f = new filter(cur);
     f._reset = this._reset;
+    f._history.replaying = true;
+    try {
+      f.set(set);
+    } finally {
+      f._history.replaying = false;
+    }
 
     return f;
   };
 
   filter.prototype._pauseTracking = function _pauseTracking () {
-    ++this._tracking.paused;
+    if (this._tracking.paused++ === 0) {
+      this._tracking.filtersChanged = false;
+      this._tracking.pageSet        = false;
+      this._tracking.before         = clone(this._data);
+    }
+  };
+
+  /**
+   * Runs "fn" as a single batch of changes. If it throws, the values
+   * go back to how they were before the batch, and nothing is
+   * tracked or emitted for it
+   */
+  filter.prototype._batch = function _batch (fn) {
+    var data = clone(this._data);
+    this._pauseTracking();
+    try {
+      fn.call(this);
+    } catch (e) {
+      this._data = data;
+      if (--this._tracking.paused === 0) this._tracking.queue = {};
+      throw e;
+    }
+    this._continueTracking();
   };
 
   filter.prototype._continueTracking = function _continueTracking () {
+    if (this._tracking.paused === 1) this._endBatch();
     if (--this._tracking.paused > 0) return;
     Object.keys(this._tracking.queue).forEach(function(name){
       this._tracking.trackers[ name ].changed();
       delete this._tracking.queue[ name ];
     }.bind(this));
+    this._emitChange(this._tracking.before);
+  };
+
+  /**
+   * Calls the "change" listeners with the differences between the
+   * data before a batch of changes, and the current data
+   */
+  filter.prototype._emitChange = function _emitChange (before) {
+    var listeners = this._listeners.change;
+    if (!listeners.length) return;
+
+    var after = this._data;
+    var event = {
+      names:     [],
+      oldValues: {},
+      newValues: {},
+    };
+
+    Object.keys(before).concat(Object.keys(after)).forEach(function(k){
+      if (event.names.indexOf(k) !== -1) return;
+      var oldValue = before.hasOwnProperty(k) ? before[k].value : undefined;
+      var newValue = after.hasOwnProperty(k)  ? after[k].value  : undefined;
+      if (equals(oldValue, newValue)) return;
+
+      event.names.push(k);
+      if (before.hasOwnProperty(k)) event.oldValues[k] = clone(oldValue);
+      if (after.hasOwnProperty(k))  event.newValues[k] = clone(newValue);
+    });
+
+    if (!event.names.length) return;
+
+    /**
+     * The changes have already been made, so a listener which throws
+     * mustn't stop the others from hearing about them, or make the
+     * change look like it failed. The first error is thrown later on
+     * instead, so it still gets reported
+     */
+    var error = null;
+    listeners.slice().forEach(function(listener){
+      try {
+        listener.call(this, event);
+      } catch (e) {
+        if (error === null) error = e;
+      }
+    }.bind(this));
+    if (error !== null) {
+      setTimeout(function () {
+        throw error;
+      }, 0);
+    }
+  };
+
+  /**
+   * Called at the end of each batch of changes, whilst tracking is
+   * still paused. Moves back to the first page if any filter values
+   * changed, unless the page was also set in the same batch. Then
+   * records the batch in the undo history
+   */
+  filter.prototype._endBatch = function _endBatch () {
+    var page = this._data.$page;
+    if (this._tracking.filtersChanged && !this._tracking.pageSet
+      && page && page.value.page !== 1
+    ) {
+      page.value = { page: 1, size: page.value.size };
+      this._trackChanged('$page');
+    }
+
+    var history = this._history;
+    var before  = this._tracking.before;
+    if (!history || history.replaying) return;
+    if (equals(before, this._data)) return;
+
+    history.undo.push(before);
+    if (history.undo.length > historyDepth) {
+      history.undo.splice(0, history.undo.length - historyDepth);
+    }
+    history.redo = [];
+    this._trackChanged('$history');
   };
 
   filter.prototype._trackDepend = function _trackDepend (name) {
     if (typeof name === 'undefined') name = '...ROOT...';
     if (!this._tracking.trackers.hasOwnProperty(name)) {
-      this._tracking.trackers[ name ] = new Tracker.Dependency();
+      this._tracking.trackers[ name ] = new Filter.adapter.Dependency();
     }
     this._tracking.trackers[ name ].depend();
   };
@@ -408,3 +1755,497 @@ Filter.create = function FilterCreateSpec(spec) {
 
   return filter;
 };
+
+/**
+ * Thrown when values can't be set. "errors" lists each of the
+ * failing values, with a reason code:
+ *
+ *   unknown:  There is no filter spec for the name
+ *   invalid:  The filter function rejected the value
+ *   locked:   The filter is locked
+ *   required: The filter is required, so can't be left unset
+ *
+ * Names inside nested specs are dotted, e.g. "Address.City"
+ *
+ * @param {Array} errors [{ name, value, reason, message }]
+ */
+Filter.ValidationError = function ValidationError(errors) {
+  this.name    = 'ValidationError';
+  this.errors  = errors;
+  this.message = errors.map(function(error){
+    return error.message;
+  }).join('; ');
+  this.stack   = (new Error(this.message)).stack;
+};
+Filter.ValidationError.prototype = Object.create(Error.prototype);
+Filter.ValidationError.prototype.constructor = Filter.ValidationError;
+
+/**
+ * Is "value" an Object of query operators, e.g. { $gt: 1 }, rather
+ * than a value to compare against. Internal, shared by Filter.js,
+ * merge.js and match.js
+ *
+ * @param  {Any}     value
+ * @return {Boolean}
+ */
+Filter._isOperatorObject = function isOperatorObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  if (Array.isArray(value) || value instanceof Date || value instanceof RegExp) {
+    return false;
+  }
+  var keys = Object.keys(value);
+  return keys.length > 0 && keys.every(function(k){
+    return k.substr(0, 1) === '$';
+  });
+};
+
+/**
+ * Create a new spec containing the filters of two others, in
+ * names() order, A's followed by B's. Names must not clash, so pass a
+ * "prefix" to add to the start of B's names. The "type" and other
+ * options come from A unless passed, apart from "version" and
+ * "migrations", which only make sense for the new spec. The sorts
+ * and presets of both are kept, with B's presets using the prefixed
+ * names. Where they share a name, A's is used.
+ *
+ * @param  {Function} A       A spec from Filter.create
+ * @param  {Function} B       Another spec from Filter.create
+ * @param  {Object}   options Optional prefix, type, sorts, pageSize,
+ *                            maxPageSize, historyDepth, version,
+ *                            migrations and presets
+ * @return {Function}         The new spec
+ */
+Filter.compose = function FilterCompose(A, B, options) {
+  options = options || {};
+
+  var a = A._definition();
+  var b = B._definition();
+  var prefix = options.prefix || '';
+
+  var definition = {
+    type:         a.type,
+    sorts:        {},
+    pageSize:     a.pageSize,
+    maxPageSize:  a.maxPageSize,
+    historyDepth: a.historyDepth,
+    presets:      {},
+    filters:      a.filters,
+  };
+  [ b.sorts, a.sorts ].forEach(function(sorts){
+    Object.keys(sorts).forEach(function(k){
+      definition.sorts[k] = sorts[k];
+    });
+  });
+  Object.keys(a.presets).forEach(function(k){
+    definition.presets[k] = a.presets[k];
+  });
+  Object.keys(b.presets).forEach(function(k){
+    if (definition.presets.hasOwnProperty(prefix + k)) return;
+    definition.presets[ prefix + k ] = prefixPreset(b.presets[k], prefix);
+  });
+  ['type', 'sorts', 'pageSize', 'maxPageSize', 'historyDepth', 'version', 'migrations', 'presets'].forEach(function(k){
+    if (options.hasOwnProperty(k)) definition[k] = options[k];
+  });
+
+  var existing = A.names();
+  b.filters.forEach(function(item){
+    Object.keys(item).forEach(function(k){
+      if (existing.indexOf(prefix + k) !== -1) {
+        throw new Error("Both specs have a filter called " + prefix + k);
+      }
+      var prefixed = {};
+      prefixed[ prefix + k ] = item[k];
+      definition.filters.push(prefixed);
+    });
+  });
+
+  return Filter.create(definition);
+};
+
+/**
+ * Publish a cursor which is filtered by values supplied by the
+ * client, using filter.subscribe(name). The values are validated by
+ * rebuilding the filter on the server from the supplied spec, so the
+ * client can only ever filter on what the spec allows.
+ *
+ * @param {String}   name     Name of the publication
+ * @param {Function} cursorFn Called with (query, filter) in the
+ *                            context of the publication. Returns
+ *                            a cursor. filter.options() gives the
+ *                            client's sort and page
+ * @param {Function} Spec     A filter class from Filter.create
+ * @param {Function} valuesFn Optional. Called in the context of the
+ *                            publication, returns trusted values for
+ *                            locked filters, which the client can't
+ *                            supply
+ */
+Filter.publish = function FilterPublish(name, cursorFn, Spec, valuesFn) {
+  if (arguments.length < 3 || arguments.length > 4
+    || typeof name     !== 'string'
+    || typeof cursorFn !== 'function'
+    || typeof Spec     !== 'function'
+    || (arguments.length === 4 && typeof valuesFn !== 'function')
+  ) {
+    throw new Error('publish takes a String, a Function, a Filter spec and an optional Function');
+  }
+
+  Meteor.publish(name, function (saved) {
+    // Match.Maybe needs Meteor 1.3
+    check(saved, Match.OneOf(null, undefined, Object));
+    if (typeof saved === 'undefined' || saved === null) saved = {};
+
+    try {
+      saved = Spec.migrate(saved);
+    } catch (e) {
+      throw new Meteor.Error('invalid-filter', e.message || String(e));
+    }
+    if (Spec.version()) saved.$version = Spec.version();
+
+    var known = Spec.names().concat(['$sort', '$page', '$version']);
+    Object.keys(saved).forEach(function(k){
+      if (known.indexOf(k) < 0) {
+        throw new Meteor.Error('invalid-filter', 'There is no filter spec for ' + k);
+      }
+    });
+    var locked = Spec._locked(saved);
+    if (locked.length) {
+      throw new Meteor.Error('invalid-filter', locked[0] + ' is locked');
+    }
+
+    var trusted = valuesFn ? valuesFn.call(this) || {} : {};
+    Object.keys(trusted).forEach(function(k){
+      saved[k] = trusted[k];
+    });
+
+    var filter;
+    try {
+      filter = new Spec(saved);
+    } catch (e) {
+      throw new Meteor.Error('invalid-filter', e.message || String(e));
+    }
+
+    return cursorFn.call(this, filter.query(undefined, false), filter);
+  });
+};
+
+/**
+ * Locale tables for filter.describe(). See locales/en.js
+ */
+Filter.locales = Filter.locales || {};
+Filter.defaultLocale = 'en';
+
+/**
+ * The operator phrase for describe(). A "phrase" in the meta data
+ * overrides the locale table. Otherwise the "operator" meta data is
+ * looked up, suffixed with the type of the value if the table has a
+ * more specific phrase for that, e.g. "lt.date"
+ */
+function describeOperator (meta, value, locale, context) {
+  if (typeof meta.phrase === 'function') {
+    return meta.phrase.call(context, value, locale);
+  }
+  if (typeof meta.phrase === 'string') return meta.phrase;
+
+  var operators = locale.operators || {};
+  var key = meta.operator || 'default';
+
+  if (value instanceof Date) {
+    key += '.date';
+  } else if (typeof value === 'boolean' || value === null) {
+    key += '.' + String(value);
+  }
+
+  var parts = key.split('.');
+  while (parts.length) {
+    if (operators.hasOwnProperty(parts.join('.'))) {
+      return operators[ parts.join('.') ];
+    }
+    parts.pop();
+  }
+  return meta.operator || '';
+}
+
+/**
+ * Formats a filter value for describe()
+ */
+function describeValue (value, locale) {
+  if (value === null || typeof value === 'undefined') return locale['null'];
+  if (typeof value === 'boolean') return locale[ String(value) ];
+  if (value instanceof Date) return locale.date(value);
+  if (Array.isArray(value)) {
+    return value.map(function(v){
+      return describeValue(v, locale);
+    }).join(locale.list);
+  }
+  if (typeof value === 'object' && !(value instanceof RegExp)) {
+    return Object.keys(value).map(function(k){
+      return k + ': ' + describeValue(value[k], locale);
+    }).join(locale.list);
+  }
+  return String(value);
+}
+
+/**
+ * Returns the first of "operators" found anywhere in a query, or null
+ */
+function findOperator (query, operators) {
+  if (query === null || typeof query !== 'object') return null;
+  if (query instanceof Date || query instanceof RegExp) return null;
+
+  var keys = Object.keys(query);
+  for (var i = 0; i < keys.length; ++i) {
+    if (operators.indexOf(keys[i]) >= 0) return keys[i];
+    var found = findOperator(query[ keys[i] ], operators);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Mongo requires $text to be at the top level of the first $match in
+ * a pipeline, so pull it out of $and if it ended up in there
+ */
+function hoistText (query) {
+  if (query.$text || !Array.isArray(query.$and)) return query;
+
+  var text = null;
+  var $and = query.$and.map(function(q){
+    if (text || !q.$text) return q;
+    text = q.$text;
+    var rest = {};
+    Object.keys(q).forEach(function(k){
+      if (k !== '$text') rest[k] = q[k];
+    });
+    return rest;
+  }).filter(function(q){
+    return Object.keys(q).length > 0;
+  });
+  if (!text) return query;
+
+  var hoisted = { $text: text };
+  Object.keys(query).forEach(function(k){
+    if (k !== '$and') hoisted[k] = query[k];
+  });
+  if ($and.length) hoisted.$and = $and;
+  return hoisted;
+}
+
+/**
+ * Cloning and equality go through Filter.adapter, so that they work
+ * both inside and outside of Meteor
+ */
+function clone (value) {
+  return Filter.adapter.clone(value);
+}
+
+function equals (a, b) {
+  return Filter.adapter.equals(a, b);
+}
+
+/**
+ * "Filter" is shadowed inside filter constructors, so they use these
+ */
+function isValidationError (e) {
+  return e instanceof Filter.ValidationError;
+}
+
+function validationError (errors) {
+  return new Filter.ValidationError(errors);
+}
+
+function isPlainObject (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Shallow copy of a spec entry, so that a spec built from another
+ * one doesn't share its entry level meta data
+ */
+function copyEntry (entry) {
+  var copy = {};
+  Object.keys(entry).forEach(function(k){
+    copy[k] = entry[k];
+  });
+  if (entry.meta) {
+    copy.meta = {};
+    Object.keys(entry.meta).forEach(function(k){
+      copy.meta[k] = entry.meta[k];
+    });
+  }
+  return copy;
+}
+
+/**
+ * Adds a prefix to the filter names of a preset, for compose(). The
+ * sort and page keep their names
+ */
+function prefixPreset (preset, prefix) {
+  if (!prefix) return preset;
+  if (typeof preset === 'function') {
+    return function (instance) {
+      var values = preset(instance);
+      return values === null || typeof values !== 'object'
+        ? values
+        : prefixPreset(values, prefix);
+    };
+  }
+  var prefixed = {};
+  Object.keys(preset).forEach(function(k){
+    prefixed[ k.substr(0, 1) === '$' ? k : prefix + k ] = preset[k];
+  });
+  return prefixed;
+}
+
+/**
+ * Prefixes every field in a query, for nested specs:
+ *
+ *   { city: 'London', $or: [ { zip: 1 } ] }
+ *
+ * With "address." becomes:
+ *
+ *   { 'address.city': 'London', $or: [ { 'address.zip': 1 } ] }
+ */
+function prefixQuery (query, prefix) {
+  var prefixed = {};
+  Object.keys(query).forEach(function(k){
+    var v = query[k];
+    if (k === '$and' || k === '$or' || k === '$nor') {
+      prefixed[k] = v.map(function(q){
+        return prefixQuery(q, prefix);
+      });
+    } else if (k === '$comment') {
+      prefixed[k] = v;
+    } else if (k.substr(0, 1) === '$') {
+      throw new Error(k + ' can not be used in a nested filter spec');
+    } else {
+      prefixed[ prefix + k ] = v;
+    }
+  });
+  return prefixed;
+}
+
+/**
+ * Splits a query into { field, value } clauses for each top level
+ * field, including those inside a top level $and
+ */
+function fieldClauses (query) {
+  var clauses = [];
+  Object.keys(query).forEach(function(k){
+    if (k === '$and') {
+      query.$and.forEach(function(q){
+        clauses = clauses.concat(fieldClauses(q));
+      });
+    } else if (k.substr(0, 1) !== '$') {
+      clauses.push({ field: k, value: query[k] });
+    }
+  });
+  return clauses;
+}
+
+/**
+ * Returns true if no value of a field could satisfy all of the clause
+ * values for it. Unless "scalar", the field may be an Array, so each
+ * positive clause could be matched by a different element. Gives the
+ * benefit of the doubt to anything which Filter.match doesn't
+ * understand
+ */
+function contradicts (values, scalar) {
+  var atoms = [];
+  values.forEach(function(value){
+    if (!Filter._isOperatorObject(value)) return atoms.push({ $eq: value });
+    Object.keys(value).forEach(function(op){
+      if (op === '$options') return;
+      var atom = {};
+      atom[op] = value[op];
+      if (op === '$regex' && value.hasOwnProperty('$options')) {
+        atom.$options = value.$options;
+      }
+      atoms.push(atom);
+    });
+  });
+
+  // Candidate values are tested as a single "value" key, so that
+  // dotted field names don't need to be expanded into sub-documents
+  var satisfies = function (doc) {
+    return atoms.every(function(atom){
+      var selector = { value: atom };
+      try {
+        return Filter.match(selector, doc);
+      } catch (e) {
+        return true;
+      }
+    });
+  };
+
+  // A missing field has to satisfy everything if it must not exist
+  var missing = atoms.some(function(atom){
+    return atom.$exists === false;
+  });
+  if (missing) return !satisfies({});
+
+  // These need the field to be an Array, so anything else goes
+  var array = atoms.some(function(atom){
+    return atom.hasOwnProperty('$all') || atom.hasOwnProperty('$elemMatch')
+      || atom.hasOwnProperty('$size');
+  });
+  if (array) return false;
+
+  // Otherwise, if the value must be one of a list, try each of them.
+  // An Array only has to have one element from each list, which none
+  // of the negative clauses exclude
+  var lists = [];
+  atoms.forEach(function(atom){
+    var list = atom.hasOwnProperty('$eq') ? [ atom.$eq ] : atom.$in;
+    if (!Array.isArray(list)) return;
+    if (list.some(function(v){ return v instanceof RegExp; })) return;
+    lists.push(list);
+  });
+  if (lists.length && scalar) {
+    var candidates = lists.reduce(function(all, list){
+      return all.concat(list);
+    }, []);
+    return !candidates.some(function(v){
+      return satisfies({ value: v });
+    });
+  }
+  if (lists.length) {
+    var negatives = atoms.filter(function(atom){
+      return atom.hasOwnProperty('$ne') || atom.hasOwnProperty('$nin')
+        || atom.hasOwnProperty('$not');
+    });
+    return lists.some(function(list){
+      return !list.some(function(v){
+        return negatives.every(function(atom){
+          try {
+            return Filter.match({ value: atom }, { value: v });
+          } catch (e) {
+            return true;
+          }
+        });
+      });
+    });
+  }
+
+  // Otherwise, check that the bounds leave a gap
+  var lower = null, upper = null;
+  atoms.forEach(function(atom){
+    var op = Object.keys(atom)[0];
+    var v  = atom[ op ];
+    var date = v instanceof Date;
+    if (date) v = v.getTime();
+    if (typeof v !== 'number') return;
+    if ((op === '$gt' || op === '$gte')
+      && (!lower || v > lower.v || (v === lower.v && op === '$gt'))
+    ) {
+      lower = { v: v, date: date, exclusive: op === '$gt' };
+    }
+    if ((op === '$lt' || op === '$lte')
+      && (!upper || v < upper.v || (v === upper.v && op === '$lt'))
+    ) {
+      upper = { v: v, date: date, exclusive: op === '$lt' };
+    }
+  });
+  if (!lower || !upper || lower.date !== upper.date) return false;
+  return lower.v > upper.v
+    || (lower.v === upper.v && (lower.exclusive || upper.exclusive));
+}
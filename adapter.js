@@ -0,0 +1,158 @@
+Filter = typeof Filter === 'undefined' ? {} : Filter;
+Filter.adapters = Filter.adapters || {};
+
+/**
+ * Adapters supply the cloning, equality, serialisation and
+ * dependency tracking used by filter instances:
+ *
+ *   clone(value)
+ *   equals(a, b)
+ *   stringify(value, { canonical: true })
+ *   parse(string)
+ *   new Dependency(), with depend() and changed() functions
+ *
+ * The "meteor" adapter uses EJSON and Tracker. The "plain" adapter
+ * needs nothing but JavaScript, so Filter.create can be used from Node
+ * or a bundler. It has no reactivity, so use filter.on('change', fn)
+ * instead. Replace Filter.adapter to supply your own.
+ */
+Filter.adapters.meteor = {
+  clone: function (value) {
+    return EJSON.clone(value);
+  },
+  equals: function (a, b) {
+    return EJSON.equals(a, b);
+  },
+  stringify: function (value, options) {
+    return EJSON.stringify(value, options);
+  },
+  parse: function (str) {
+    return EJSON.parse(str);
+  },
+  Dependency: function MeteorDependency () {
+    return new Tracker.Dependency();
+  },
+};
+
+Filter.adapters.plain = {
+  clone: plainClone,
+  equals: plainEquals,
+
+  /**
+   * Encodes Dates as { $date: milliseconds } and RegExps as
+   * { $regexp: source, $flags: flags }, the same as EJSON, so query
+   * strings can be shared with Meteor clients
+   */
+  stringify: function (value, options) {
+    var canonical = !!(options && options.canonical);
+    return JSON.stringify(plainEncode(value, canonical));
+  },
+  parse: function (str) {
+    return plainDecode(JSON.parse(str));
+  },
+  Dependency: function PlainDependency () {
+    this.depend  = function () { return false; };
+    this.changed = function () {};
+  },
+};
+
+Filter.adapter = Filter.adapter
+  || (typeof EJSON !== 'undefined' && typeof Tracker !== 'undefined'
+    ? Filter.adapters.meteor
+    : Filter.adapters.plain);
+
+/**
+ * Deep clone of Arrays, plain Objects, Dates and RegExps. Anything
+ * with its own clone() function, such as an EJSON custom type, is
+ * cloned using that
+ */
+function plainClone (value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (typeof value.clone === 'function') return value.clone();
+  if (value instanceof Date)   return new Date(value.getTime());
+  if (value instanceof RegExp) return new RegExp(value.source, regexFlags(value));
+  if (Array.isArray(value))    return value.map(plainClone);
+
+  var clone = {};
+  Object.keys(value).forEach(function(k){
+    clone[k] = plainClone(value[k]);
+  });
+  return clone;
+}
+
+/**
+ * Deep equality, ignoring the order of Object keys. Anything with
+ * its own equals() function is compared using that
+ */
+function plainEquals (a, b) {
+  if (a === b) return true;
+  if (typeof a === 'number' && typeof b === 'number') {
+    return isNaN(a) && isNaN(b);
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+    return false;
+  }
+  if (typeof a.equals === 'function') return a.equals(b);
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date
+      && a.getTime() === b.getTime();
+  }
+  if (a instanceof RegExp || b instanceof RegExp) {
+    return a instanceof RegExp && b instanceof RegExp
+      && String(a) === String(b);
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  var keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(function(k){
+    return b.hasOwnProperty(k) && plainEquals(a[k], b[k]);
+  });
+}
+
+function regexFlags (regex) {
+  return (regex.global ? 'g' : '')
+    + (regex.ignoreCase ? 'i' : '')
+    + (regex.multiline ? 'm' : '');
+}
+
+function plainEncode (value, canonical) {
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return { $date: value.getTime() };
+  if (value instanceof RegExp) {
+    return { $regexp: value.source, $flags: regexFlags(value) };
+  }
+  if (Array.isArray(value)) {
+    return value.map(function(v){
+      return plainEncode(v, canonical);
+    });
+  }
+
+  var keys = Object.keys(value);
+  if (canonical) keys.sort();
+
+  var encoded = {};
+  keys.forEach(function(k){
+    encoded[k] = plainEncode(value[k], canonical);
+  });
+  return encoded;
+}
+
+function plainDecode (value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(plainDecode);
+
+  var keys = Object.keys(value);
+  if (keys.length === 1 && keys[0] === '$date') {
+    return new Date(value.$date);
+  }
+  if (keys.length === 2 && value.hasOwnProperty('$regexp') && value.hasOwnProperty('$flags')) {
+    return new RegExp(value.$regexp, value.$flags);
+  }
+
+  var decoded = {};
+  keys.forEach(function(k){
+    decoded[k] = plainDecode(value[k]);
+  });
+  return decoded;
+}
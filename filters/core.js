@@ -7,19 +7,24 @@ Filter = typeof Filter === 'undefined' ? {} : Filter;
  *
  * https://docs.mongodb.org/v3.0/reference/operator/query/eq/
  */
-Filter.Eq = function EqFactory(field) {
-  if (arguments.length !== 1 || typeof field !== 'string') {
-    throw new Error('Eq takes a single String argument');
-  }
-  return function Eq(value) {
-    if (value !== null && typeof value !== 'string' && typeof value !==
+Filter.Eq = function EqFactory(field, type) {
+  type = fieldAndType('Eq', arguments);
+  return withMeta(function Eq(value) {
+    if (type) {
+      value = typed(value, type, new Error('Invalid value passed to Eq for ' + field));
+    } else if (value !== null && typeof value !== 'string' && typeof value !==
       'number') {
       throw new Error('Invalid value passed to Eq for ' + field);
     }
     var selector = {};
     selector[field] = value;
     return selector;
-  };
+  }, {
+    operator: 'eq',
+    schema:   type ? Filter.typeSchema(type) : {
+      type: ['string', 'number', 'null'],
+    },
+  });
 };
 
 /**
@@ -29,19 +34,24 @@ Filter.Eq = function EqFactory(field) {
  *
  * https://docs.mongodb.org/v3.0/reference/operator/query/ne/
  */
-Filter.Ne = function NeFactory(field) {
-  if (arguments.length !== 1 || typeof field !== 'string') {
-    throw new Error('Ne takes a single String argument');
-  }
-  return function Ne(value) {
-    if (value !== null && typeof value !== 'string' && typeof value !==
+Filter.Ne = function NeFactory(field, type) {
+  type = fieldAndType('Ne', arguments);
+  return withMeta(function Ne(value) {
+    if (type) {
+      value = typed(value, type, new Error('Invalid value passed to Ne for ' + field));
+    } else if (value !== null && typeof value !== 'string' && typeof value !==
       'number') {
       throw new Error('Invalid value passed to Ne for ' + field);
     }
     var selector = {};
     selector[field] = { $ne: value };
     return selector;
-  };
+  }, {
+    operator: 'ne',
+    schema:   type ? Filter.typeSchema(type) : {
+      type: ['string', 'number', 'null'],
+    },
+  });
 };
 
 /**
@@ -51,12 +61,12 @@ Filter.Ne = function NeFactory(field) {
  *
  * https://docs.mongodb.org/v3.0/reference/operator/query/gt/
  */
-Filter.Gt = function GtFactory(field) {
-  if (arguments.length !== 1 || typeof field !== 'string') {
-    throw new Error('Gt takes a single String argument');
-  }
-  return function Gt(value) {
-    if (typeof value !== 'number' && !(value instanceof Date)) {
+Filter.Gt = function GtFactory(field, type) {
+  type = fieldAndType('Gt', arguments);
+  return withMeta(function Gt(value) {
+    if (type) {
+      value = typed(value, type, new Error('Invalid value passed to Gt for ' + field));
+    } else if (typeof value !== 'number' && !(value instanceof Date)) {
       value = parseFloat(value);
       if (isNaN(value)) {
         throw new Error('Invalid value passed to Gt for ' + field);
@@ -67,7 +77,10 @@ Filter.Gt = function GtFactory(field) {
       $gt: value
     };
     return selector;
-  };
+  }, {
+    operator: 'gt',
+    schema:   type ? Filter.typeSchema(type) : numberSchema(),
+  });
 };
 
 /**
@@ -77,12 +90,12 @@ Filter.Gt = function GtFactory(field) {
  *
  * https://docs.mongodb.org/v3.0/reference/operator/query/gte/
  */
-Filter.Gte = function GteFactory(field) {
-  if (arguments.length !== 1 || typeof field !== 'string') {
-    throw new Error('Gte takes a single String argument');
-  }
-  return function Gte(value) {
-    if (typeof value !== 'number' && !(value instanceof Date)) {
+Filter.Gte = function GteFactory(field, type) {
+  type = fieldAndType('Gte', arguments);
+  return withMeta(function Gte(value) {
+    if (type) {
+      value = typed(value, type, new Error('Invalid value passed to Gte for ' + field));
+    } else if (typeof value !== 'number' && !(value instanceof Date)) {
       value = parseFloat(value);
       if (isNaN(value)) {
         throw new Error('Invalid value passed to Gte for ' + field);
@@ -93,7 +106,10 @@ Filter.Gte = function GteFactory(field) {
       $gte: value
     };
     return selector;
-  };
+  }, {
+    operator: 'gte',
+    schema:   type ? Filter.typeSchema(type) : numberSchema(),
+  });
 };
 
 /**
@@ -103,12 +119,12 @@ Filter.Gte = function GteFactory(field) {
  *
  * https://docs.mongodb.org/v3.0/reference/operator/query/lt/
  */
-Filter.Lt = function LtFactory(field) {
-  if (arguments.length !== 1 || typeof field !== 'string') {
-    throw new Error('Lt takes a single String argument');
-  }
-  return function Lt(value) {
-    if (typeof value !== 'number' && !(value instanceof Date)) {
+Filter.Lt = function LtFactory(field, type) {
+  type = fieldAndType('Lt', arguments);
+  return withMeta(function Lt(value) {
+    if (type) {
+      value = typed(value, type, new Error('Invalid value passed to Lt for ' + field));
+    } else if (typeof value !== 'number' && !(value instanceof Date)) {
       value = parseFloat(value);
       if (isNaN(value)) {
         throw new Error('Invalid value passed to Lt for ' + field);
@@ -119,7 +135,10 @@ Filter.Lt = function LtFactory(field) {
       $lt: value
     };
     return selector;
-  };
+  }, {
+    operator: 'lt',
+    schema:   type ? Filter.typeSchema(type) : numberSchema(),
+  });
 };
 
 /**
@@ -129,12 +148,12 @@ Filter.Lt = function LtFactory(field) {
  *
  * https://docs.mongodb.org/v3.0/reference/operator/query/lte/
  */
-Filter.Lte = function LteFactory(field) {
-  if (arguments.length !== 1 || typeof field !== 'string') {
-    throw new Error('Lte takes a single String argument');
-  }
-  return function Lte(value) {
-    if (typeof value !== 'number' && !(value instanceof Date)) {
+Filter.Lte = function LteFactory(field, type) {
+  type = fieldAndType('Lte', arguments);
+  return withMeta(function Lte(value) {
+    if (type) {
+      value = typed(value, type, new Error('Invalid value passed to Lte for ' + field));
+    } else if (typeof value !== 'number' && !(value instanceof Date)) {
       value = parseFloat(value);
       if (isNaN(value)) {
         throw new Error('Invalid value passed to Lte for ' + field);
@@ -145,7 +164,211 @@ Filter.Lte = function LteFactory(field) {
       $lte: value
     };
     return selector;
+  }, {
+    operator: 'lte',
+    schema:   type ? Filter.typeSchema(type) : numberSchema(),
+  });
+};
+
+/**
+ * Between(field)({ min: 3, max: 10 })
+ *
+ * { field: { $gte: 3, $lte: 10 } }
+ *
+ * Either end may be left out. Both ends are inclusive unless
+ * minInclusive or maxInclusive is false, in which case $gt or $lt
+ * is used instead
+ *
+ * https://docs.mongodb.org/v3.0/reference/operator/query-comparison/
+ */
+Filter.Between = function BetweenFactory(field, type) {
+  type = fieldAndType('Between', arguments);
+  return withMeta(function Between(value) {
+    var error = new Error('Invalid value passed to Between for ' + field);
+
+    if (value === null || typeof value !== 'object') throw error;
+
+    var hasMin = typeof value.min !== 'undefined' && value.min !== null;
+    var hasMax = typeof value.max !== 'undefined' && value.max !== null;
+    if (!hasMin && !hasMax) throw error;
+
+    var min = hasMin ? (type ? typed(value.min, type, error) : numberOrDate(value.min)) : null;
+    var max = hasMax ? (type ? typed(value.max, type, error) : numberOrDate(value.max)) : null;
+    if (hasMin && min === null) throw error;
+    if (hasMax && max === null) throw error;
+
+    var range = {};
+    if (hasMin) range[ value.minInclusive === false ? '$gt' : '$gte' ] = min;
+    if (hasMax) range[ value.maxInclusive === false ? '$lt' : '$lte' ] = max;
+
+    if (hasMin && hasMax) {
+      if ((min instanceof Date) !== (max instanceof Date)) {
+        throw new Error('Between min and max must both be Numbers or both be Dates for ' + field);
+      }
+      if (min > max) {
+        throw new Error('Between min is greater than max for ' + field);
+      }
+      if (+min === +max && (value.minInclusive === false || value.maxInclusive === false)) {
+        throw new Error('Between min and max are equal but not inclusive for ' + field);
+      }
+    }
+
+    var selector = {};
+    selector[field] = range;
+    return selector;
+  }, {
+    operator: 'between',
+
+    // An open range reads the same as Gte/Gt or Lte/Lt
+    phrase:   function (value, locale) {
+      var hasMin = typeof value.min !== 'undefined' && value.min !== null;
+      var hasMax = typeof value.max !== 'undefined' && value.max !== null;
+      var key = 'between';
+      if (hasMin && !hasMax) key = value.minInclusive === false ? 'gt' : 'gte';
+      if (hasMax && !hasMin) key = value.maxInclusive === false ? 'lt' : 'lte';
+
+      var operators = locale.operators || {};
+      var date = (hasMin ? value.min : value.max) instanceof Date;
+      if (date && operators.hasOwnProperty(key + '.date')) return operators[ key + '.date' ];
+      return operators.hasOwnProperty(key) ? operators[ key ] : key;
+    },
+    format:   function (value, locale) {
+      return [ value.min, value.max ].filter(function(v){
+        return typeof v !== 'undefined' && v !== null;
+      }).map(function(v){
+        return v instanceof Date ? locale.date(v) : String(v);
+      }).join(' – ');
+    },
+    schema:   {
+      type: 'object',
+      properties: {
+        min:          type ? Filter.typeSchema(type) : numberSchema(),
+        max:          type ? Filter.typeSchema(type) : numberSchema(),
+        minInclusive: { type: 'boolean' },
+        maxInclusive: { type: 'boolean' },
+      },
+      anyOf: [
+        { required: ['min'] },
+        { required: ['max'] },
+      ],
+    },
+  });
+};
+
+/**
+ * RelativeDate(field)({ last: 7, unit: 'days' })
+ *
+ * { field: { $gte: 7 days ago, $lt: now } }
+ *
+ * RelativeDate(field)('this-month')
+ *
+ * { field: { $gte: start of this month, $lt: start of next month } }
+ *
+ * The value is stored as supplied, and only resolved into Dates when
+ * the query is built, so saved filters don't go stale. Values can be:
+ *
+ *   { last: n, unit: u } From n units ago until now
+ *   { next: n, unit: u } From now until n units time
+ *   'today', 'yesterday', 'tomorrow'
+ *   'this-u', 'previous-u', 'next-u'
+ *
+ * Where u is one of minute, hour, day, week, month, quarter or year
+ * (or the plural). Options:
+ *
+ *   now:          Function returning the current Date. Defaults to
+ *                 Filter.now
+ *   weekStartsOn: Day weeks start on. 0 is Sunday. Defaults to 1
+ */
+Filter.RelativeDate = function RelativeDateFactory(field, options) {
+  if (arguments.length < 1 || arguments.length > 2 || typeof field !== 'string'
+    || (typeof options !== 'undefined' && (options === null || typeof options !== 'object'))
+  ) {
+    throw new Error('RelativeDate takes a String argument and an optional Object');
+  }
+  options = options || {};
+
+  var now = options.now || function () {
+    return Filter.now();
   };
+  var weekStartsOn = options.hasOwnProperty('weekStartsOn') ? options.weekStartsOn : 1;
+
+  return withMeta(function RelativeDate(value) {
+    var error = new Error('Invalid value passed to RelativeDate for ' + field);
+    var date  = now();
+    var unit, from, to;
+
+    if (typeof value === 'string') {
+      var aliases = {
+        today:     'this-day',
+        yesterday: 'previous-day',
+        tomorrow:  'next-day',
+      };
+      var mat = (aliases[ value ] || value).match(/^(this|previous|next)-(\w+)$/);
+      unit = mat && dateUnit(mat[2]);
+      if (!unit || unit === 'minute' || unit === 'hour') throw error;
+
+      var offset = { 'this': 0, previous: -1, next: 1 }[ mat[1] ];
+      from = addDateUnits(startOfDateUnit(date, unit, weekStartsOn), unit, offset);
+      to   = addDateUnits(from, unit, 1);
+    } else if (value !== null && typeof value === 'object') {
+      unit = dateUnit(value.unit);
+      var hasLast = value.hasOwnProperty('last');
+      if (!unit || hasLast === value.hasOwnProperty('next')) throw error;
+
+      var count = parseFloat(hasLast ? value.last : value.next);
+      if (isNaN(count) || count <= 0 || count % 1 !== 0) throw error;
+
+      if (hasLast) {
+        from = addDateUnits(date, unit, -count);
+        to   = date;
+      } else {
+        from = date;
+        to   = addDateUnits(date, unit, count);
+      }
+    } else {
+      throw error;
+    }
+
+    var selector = {};
+    selector[field] = {
+      $gte: from,
+      $lt:  to,
+    };
+    return selector;
+  }, {
+    operator: 'relativeDate',
+    format:   function (value, locale) {
+      return describeRelativeDate(value, locale);
+    },
+    schema:   {
+      anyOf: [
+        {
+          type:    'string',
+          pattern: '^(today|yesterday|tomorrow|(this|previous|next)-(day|week|month|quarter|year)s?)$',
+        },
+        {
+          type: 'object',
+          properties: {
+            last: { type: 'integer', minimum: 1 },
+            next: { type: 'integer', minimum: 1 },
+            unit: {
+              type:    'string',
+              pattern: '^(minute|hour|day|week|month|quarter|year)s?$',
+            },
+          },
+          required: ['unit'],
+        },
+      ],
+    },
+  });
+};
+
+/**
+ * The clock used by RelativeDate. Replace to change the time
+ * everywhere, e.g. in tests
+ */
+Filter.now = function now() {
+  return new Date();
 };
 
 /**
@@ -155,17 +378,21 @@ Filter.Lte = function LteFactory(field) {
  *
  * https://docs.mongodb.org/v3.0/reference/operator/query/in/
  */
-Filter.In = function InFactory(field) {
-  if (arguments.length !== 1 || typeof field !== 'string') {
-    throw new Error('In takes a single String argument');
-  }
-  return function In(values) {
+Filter.In = function InFactory(field, type) {
+  type = fieldAndType('In', arguments);
+  return withMeta(function In(values) {
     if (!Array.isArray(values)) {
       throw new Error('Invalid value passed to In');
     }
+    if (type) {
+      var error = new Error('Invalid value passed to In for ' + field);
+      values = values.map(function(value){
+        return typed(value, type, error);
+      });
+    }
 
     if (values.length === 1) {
-      return Filter.Eq(field)(values[0]);
+      return Filter.Eq(field, type || undefined)(values[0]);
     }
 
     var selector = {};
@@ -173,7 +400,10 @@ Filter.In = function InFactory(field) {
       $in: values,
     };
     return selector;
-  };
+  }, {
+    operator: 'in',
+    schema:   typedArraySchema(type),
+  });
 };
 
 /**
@@ -183,17 +413,21 @@ Filter.In = function InFactory(field) {
  *
  * https://docs.mongodb.org/v3.0/reference/operator/query/nin/
  */
-Filter.Nin = function NinFactory(field) {
-  if (arguments.length !== 1 || typeof field !== 'string') {
-    throw new Error('Nin takes a single String argument');
-  }
-  return function Nin(values) {
+Filter.Nin = function NinFactory(field, type) {
+  type = fieldAndType('Nin', arguments);
+  return withMeta(function Nin(values) {
     if (!Array.isArray(values)) {
       throw new Error('Invalid value passed to Nin');
     }
+    if (type) {
+      var error = new Error('Invalid value passed to Nin for ' + field);
+      values = values.map(function(value){
+        return typed(value, type, error);
+      });
+    }
 
     if (values.length === 1) {
-      return Filter.Ne(field)(values[0]);
+      return Filter.Ne(field, type || undefined)(values[0]);
     }
 
     var selector = {};
@@ -201,7 +435,10 @@ Filter.Nin = function NinFactory(field) {
       $nin: values,
     };
     return selector;
-  };
+  }, {
+    operator: 'nin',
+    schema:   typedArraySchema(type),
+  });
 };
 
 /**
@@ -219,7 +456,7 @@ Filter.Or = function OrFactory(filters) {
   if (arguments.length !== 1 || typeof filters !== 'object') {
     throw new Error('Or takes a single Object argument');
   }
-  return function Or(values) {
+  return withMeta(function Or(values) {
     if (typeof values === 'undefined') {
       values = {};
     }
@@ -241,7 +478,10 @@ Filter.Or = function OrFactory(filters) {
     return fixupOr({
       $or: queries,
     });
-  };
+  }, {
+    operator: 'or',
+    schema:   childSchemas(filters),
+  });
 };
 
 /**
@@ -259,7 +499,7 @@ Filter.And = function AndFactory(filters) {
   if (arguments.length !== 1 || typeof filters !== 'object') {
     throw new Error('And takes a single Object argument');
   }
-  return function And(values) {
+  return withMeta(function And(values) {
     if (typeof values === 'undefined') {
       values = {};
     }
@@ -281,7 +521,10 @@ Filter.And = function AndFactory(filters) {
     return fixupAnd({
       $and: queries,
     });
-  };
+  }, {
+    operator: 'and',
+    schema:   childSchemas(filters),
+  });
 };
 
 /**
@@ -289,60 +532,28 @@ Filter.And = function AndFactory(filters) {
  *
  * { field: { $not: { $gt: 3 } } }
  *
+ * Not(Or([ Eq(field1)(1), Eq(field2)(2) ]))()
+ *
+ * { $nor: [ { field1: 1 }, { field2: 2 } ] }
+ *
  * https://docs.mongodb.org/v3.0/reference/operator/query/not/
  */
 Filter.Not = function NotFactory(func) {
   if (arguments.length !== 1 || typeof func !== 'function') {
     throw new Error('Not takes a single Function argument');
   }
-  return function Not(value) {
+  return withMeta(function Not(value) {
     var selector = func(value);
 
-    /**
-     * Special case for $where as this is not allowed:
-     *     { $not: { $where: func } }
-     *
-     * But this equivalent is:
-     *     { $where: function(){ return !func.apply(this, arguments) } }
-     */
-    if (selector.$where) {
-      var where = selector.$where;
-      if (typeof where === 'string') {
-        where = Function('return !(' + where.replace(/[\s;]+$/, '') + ')');
-      } else {
-        where = function() {
-          return !(selector.$where.apply(this, arguments));
-        };
-      }
-      return {
-        $where: where,
-      };
-    }
-
-    Object.keys(selector).forEach(function(k) {
-      var v = selector[k];
-
-      if (v instanceof RegExp) {
-        // { $not: RegExp } is fine and dandy. Leave alone
-      } else if (v !== null && typeof v === 'object') {
-        if (v.$regex) v = fixupRegex(v);
-      } else {
-        /**
-         * Not allowed: { field: { $not: 'wibble' } }
-         * Allowed:     { field: { $not: { $eq: 'wibble' } } }
-         */
-        v = {
-          $eq: v
-        };
-      }
+    // An empty selector means the filter is off, so it stays off
+    if (Object.keys(selector).length === 0) return selector;
 
-      selector[k] = {
-        $not: v
-      };
-    });
-
-    return selector;
-  };
+    return negate(selector);
+  }, {
+    operator: 'not' + (func.meta && func.meta.operator ? '.' + func.meta.operator : ''),
+    schema:   (func.meta && func.meta.schema) || {},
+    format:   func.meta && func.meta.format,
+  });
 };
 
 /**
@@ -360,7 +571,7 @@ Filter.Nor = function NorFactory(filters) {
   if (arguments.length !== 1 || typeof filters !== 'object') {
     throw new Error('Nor takes a single Object argument');
   }
-  return function Nor(values) {
+  return withMeta(function Nor(values) {
     if (typeof values === 'undefined') {
       values = {};
     }
@@ -382,7 +593,10 @@ Filter.Nor = function NorFactory(filters) {
     return {
       $nor: queries,
     };
-  };
+  }, {
+    operator: 'nor',
+    schema:   childSchemas(filters),
+  });
 };
 
 /**
@@ -395,14 +609,22 @@ Filter.Exists = function ExistsFactory(field) {
   if (arguments.length !== 1 || typeof field !== 'string') {
     throw new Error('Exists takes a single String argument');
   }
-  return function Exists(value) {
+  return withMeta(function Exists(value) {
     if (typeof value === 'undefined') value = true;
     var selector = {};
     selector[field] = {
       $exists: !!value
     };
     return selector;
-  };
+  }, {
+    operator: 'exists',
+    format:   function () {
+      return '';
+    },
+    schema:   {
+      type: 'boolean',
+    },
+  });
 };
 
 /**
@@ -416,13 +638,21 @@ Filter.Type = function TypeFactory(field, value) {
   if (arguments.length !== 2 || typeof field !== 'string' || typeof value !== 'number' || isNaN(value)) {
     throw new Error('Type takes a String argument followed by a number');
   }
-  return function Type() {
+  return withMeta(function Type() {
     var selector = {};
     selector[field] = {
       $type: value
     };
     return selector;
-  };
+  }, {
+    operator: 'type',
+    format:   function () {
+      return String(value);
+    },
+    schema:   {
+      description: 'Value is ignored',
+    },
+  });
 };
 
 /**
@@ -436,7 +666,7 @@ Filter.Mod = function ModFactory(field) {
   if (arguments.length !== 1 || typeof field !== 'string') {
     throw new Error('Mod takes a single String argument');
   }
-  return function Mod(value) {
+  return withMeta(function Mod(value) {
     var error = new Error('Invalid value passwd to Mod');
 
     if (typeof value !== 'object') throw error;
@@ -452,7 +682,17 @@ Filter.Mod = function ModFactory(field) {
       $mod: [divisor, remainder],
     };
     return selector;
-  };
+  }, {
+    operator: 'mod',
+    schema:   {
+      type: 'object',
+      properties: {
+        divisor:   { type: 'integer' },
+        remainder: { type: 'integer' },
+      },
+      required: ['divisor', 'remainder'],
+    },
+  });
 };
 
 /**
@@ -480,14 +720,22 @@ Filter.Regex = function RegexFactory(field, regex, options) {
     $options: options,
   });
 
-  return function Regex() {
+  return withMeta(function Regex() {
     if (arguments.length) {
       throw new Error("Regex filter does not take arguments");
     }
     var selector = {};
     selector[field] = regex;
     return selector;
-  };
+  }, {
+    operator: 'regex',
+    format:   function () {
+      return String(regex);
+    },
+    schema:   {
+      description: 'Value is ignored',
+    },
+  });
 };
 
 /**
@@ -501,7 +749,7 @@ Filter.Text = function TextFactory(language) {
   if (arguments.length > 1 || (typeof language !== 'string' && typeof language !== 'undefined' && language !== null)) {
     throw new Error('Text takes a single optional String argument');
   }
-  return function Text(value) {
+  return withMeta(function Text(value) {
 
     if (typeof value === 'number') {
       value = String(value);
@@ -518,7 +766,12 @@ Filter.Text = function TextFactory(language) {
       selector.$text.$language = language;
     }
     return selector;
-  };
+  }, {
+    operator: 'text',
+    schema:   {
+      type: ['string', 'number'],
+    },
+  });
 };
 
 /**
@@ -536,7 +789,7 @@ Filter.Where = function WhereFactory(func) {
   if (typeof func === 'string') {
     func = Function('return ' + func);
   }
-  return function Where(value) {
+  return withMeta(function Where(value) {
 
     var funcWrapper = function() {
       return func.call(this, value);
@@ -545,7 +798,119 @@ Filter.Where = function WhereFactory(func) {
     return {
       $where: funcWrapper,
     };
-  };
+  }, {
+    operator: 'where',
+    schema:   {},
+  });
+};
+
+/**
+ * Compare(leftField, op, rightField)(true)
+ *
+ * { $expr: { $op: [ '$leftField', '$rightField' ] } }
+ *
+ * Compares two fields in the same document. op is one of eq, ne, gt,
+ * gte, lt or lte. The value switches the filter on (true) or off
+ * (false). If op is an Array of allowed operators instead, the value
+ * picks which one to use:
+ *
+ * Compare('stock', ['lt', 'gte'], 'reorderLevel')('lt')
+ *
+ * { $expr: { $lt: [ '$stock', '$reorderLevel' ] } }
+ *
+ * https://docs.mongodb.org/manual/reference/operator/query/expr/
+ */
+Filter.Compare = function CompareFactory(left, op, right) {
+  var ops = Array.isArray(op) ? op : [ op ];
+  if (arguments.length !== 3
+    || typeof left  !== 'string'
+    || typeof right !== 'string'
+    || !ops.length
+    || !ops.every(function(o){ return compareOperator(o); })
+  ) {
+    throw new Error('Compare takes a String, a comparison operator (or Array of them) and a String');
+  }
+  ops = ops.map(compareOperator);
+
+  return withMeta(function Compare(value) {
+    if (value === false || value === null || typeof value === 'undefined') {
+      return {};
+    }
+
+    var o;
+    if (Array.isArray(op)) {
+      o = compareOperator(value);
+      if (!o || ops.indexOf(o) < 0) {
+        throw new Error('Invalid value passed to Compare for ' + left);
+      }
+    } else if (value === true) {
+      o = ops[0];
+    } else {
+      throw new Error('Invalid value passed to Compare for ' + left);
+    }
+
+    var expr = {};
+    expr[ '$' + o ] = [ '$' + left, '$' + right ];
+    return {
+      $expr: expr,
+    };
+  }, {
+    operator: 'compare',
+    format:   function (value) {
+      var o = value === true ? ops[0] : compareOperator(value);
+      if (!o) return '';
+      var symbols = { eq: '=', ne: '≠', gt: '>', gte: '≥', lt: '<', lte: '≤' };
+      return left + ' ' + symbols[ o ] + ' ' + right;
+    },
+    schema:   Array.isArray(op)
+      ? { 'enum': ops.concat([ false, null ]) }
+      : { type: 'boolean' },
+  });
+};
+
+/**
+ * Expr(expression)(true)
+ *
+ * { $expr: expression }
+ *
+ * Expr(function (value) { return expression })(value)
+ *
+ * { $expr: function(value) }
+ *
+ * An arbitrary aggregation expression. If passed an Object, the
+ * value switches the filter on (true) or off (false). If passed a
+ * Function, it is called with the value and returns the expression.
+ *
+ * https://docs.mongodb.org/manual/reference/operator/query/expr/
+ */
+Filter.Expr = function ExprFactory(expression) {
+  if (arguments.length !== 1 || expression === null
+    || (typeof expression !== 'object' && typeof expression !== 'function')
+  ) {
+    throw new Error('Expr takes a single Object or Function argument');
+  }
+  return withMeta(function Expr(value) {
+    var expr = expression;
+    if (typeof expression === 'function') {
+      expr = expression(value);
+    } else if (value === false || value === null || typeof value === 'undefined') {
+      return {};
+    } else if (value !== true) {
+      throw new Error('Invalid value passed to Expr');
+    }
+    if (expr === null || typeof expr !== 'object') {
+      throw new Error('Invalid expression in Expr');
+    }
+    return {
+      $expr: expr,
+    };
+  }, {
+    operator: 'expr',
+    format:   typeof expression === 'function' ? undefined : function () {
+      return '';
+    },
+    schema:   typeof expression === 'function' ? {} : { type: 'boolean' },
+  });
 };
 
 /**
@@ -555,20 +920,27 @@ Filter.Where = function WhereFactory(func) {
  *
  * https://docs.mongodb.org/v3.0/reference/operator/query/all/
  */
-Filter.All = function AllFactory(field) {
-  if (arguments.length !== 1 || typeof field !== 'string') {
-    throw new Error('All takes a single String argument');
-  }
-  return function All(filters) {
+Filter.All = function AllFactory(field, type) {
+  type = fieldAndType('All', arguments);
+  return withMeta(function All(filters) {
     if (!Array.isArray(filters)) {
       throw new Error('Invalid value passed to All');
     }
+    if (type) {
+      var error = new Error('Invalid value passed to All for ' + field);
+      filters = filters.map(function(value){
+        return typed(value, type, error);
+      });
+    }
     var selector = {};
     selector[field] = {
       $all: filters
     };
     return selector;
-  };
+  }, {
+    operator: 'all',
+    schema:   typedArraySchema(type),
+  });
 };
 
 /**
@@ -582,7 +954,7 @@ Filter.ElemMatch = function ElemMatchFactory(field) {
   if (arguments.length !== 1 || typeof field !== 'string') {
     throw new Error('ElemMatch takes a single String argument');
   }
-  return function ElemMatch(value) {
+  return withMeta(function ElemMatch(value) {
     if (typeof value !== 'object') {
       throw new Error('Invalid value passed to ElemMatch');
     }
@@ -591,7 +963,12 @@ Filter.ElemMatch = function ElemMatchFactory(field) {
       $elemMatch: value
     };
     return selector;
-  };
+  }, {
+    operator: 'elemMatch',
+    schema:   {
+      type: 'object',
+    },
+  });
 };
 
 /**
@@ -605,9 +982,9 @@ Filter.Size = function SizeFactory(field) {
   if (arguments.length !== 1 || typeof field !== 'string') {
     throw new Error('Size takes a single String argument');
   }
-  return function Size(value) {
-    value = parseInt(value);
-    if (isNaN(value)) {
+  return withMeta(function Size(value) {
+    value = typed(value, 'integer', new Error('Invalid value passed to Size'));
+    if (value < 0) {
       throw new Error('Invalid value passed to Size');
     }
     var selector = {};
@@ -615,48 +992,660 @@ Filter.Size = function SizeFactory(field) {
       $size: value
     };
     return selector;
-  };
+  }, {
+    operator: 'size',
+    schema:   {
+      type: 'integer',
+      minimum: 0,
+    },
+  });
 };
 
+/**
+ * Near(field)({ point: [lng, lat], maxDistance: 1000 })
+ *
+ * { field: { $near: {
+ *   $geometry:    { type: 'Point', coordinates: [lng, lat] },
+ *   $maxDistance: 1000,
+ * } } }
+ *
+ * The point may also be a GeoJSON Point, and the value may be just
+ * the point. Distances are in metres. Requires a 2dsphere index.
+ *
+ * https://docs.mongodb.org/v3.0/reference/operator/query/near/
+ */
+Filter.Near = function NearFactory(field) {
+  if (arguments.length !== 1 || typeof field !== 'string') {
+    throw new Error('Near takes a single String argument');
+  }
+  return withMeta(function Near(value) {
+    var error = new Error('Invalid value passed to Near for ' + field);
+
+    if (Array.isArray(value) || (value && value.type === 'Point')) {
+      value = { point: value };
+    }
+    if (value === null || typeof value !== 'object') throw error;
+
+    var point = value.point;
+    if (point && point.type === 'Point') point = point.coordinates;
+    point = geoPosition(point);
+    if (!point) throw error;
+
+    var near = {
+      $geometry: {
+        type:        'Point',
+        coordinates: point,
+      },
+    };
+
+    ['minDistance', 'maxDistance'].forEach(function(k){
+      if (typeof value[ k ] === 'undefined' || value[ k ] === null) return;
+      var distance = parseFloat(value[ k ]);
+      if (isNaN(distance) || distance < 0) throw error;
+      near[ '$' + k ] = distance;
+    });
+
+    if (near.$minDistance > near.$maxDistance) {
+      throw new Error('Near minDistance is greater than maxDistance for ' + field);
+    }
+
+    var selector = {};
+    selector[field] = {
+      $near: near,
+    };
+    return selector;
+  }, {
+    operator: 'near',
+    format:   function (value) {
+      var point = Array.isArray(value) || value.type === 'Point' ? value : value.point;
+      if (point.type === 'Point') point = point.coordinates;
+      var str = point.join(', ');
+      if (value.maxDistance) str += ' (' + value.maxDistance + 'm)';
+      return str;
+    },
+    schema:   {
+      anyOf: [
+        geoPositionSchema(),
+        geoJSONSchema(['Point']),
+        {
+          type: 'object',
+          properties: {
+            point:       {
+              anyOf: [ geoPositionSchema(), geoJSONSchema(['Point']) ],
+            },
+            minDistance: { type: 'number', minimum: 0 },
+            maxDistance: { type: 'number', minimum: 0 },
+          },
+          required: ['point'],
+        },
+      ],
+    },
+  });
+};
+
+/**
+ * GeoWithin(field)({ box: [[lng1, lat1], [lng2, lat2]] })
+ *
+ * { field: { $geoWithin: { $box: [[lng1, lat1], [lng2, lat2]] } } }
+ *
+ * The value is one of:
+ *
+ *   { box:          [bottom left, top right] }
+ *   { polygon:      [position, position, position, ...] }
+ *   { centerSphere: [position, radius in radians] }
+ *   A GeoJSON Polygon or MultiPolygon
+ *
+ * https://docs.mongodb.org/v3.0/reference/operator/query/geoWithin/
+ */
+Filter.GeoWithin = function GeoWithinFactory(field) {
+  if (arguments.length !== 1 || typeof field !== 'string') {
+    throw new Error('GeoWithin takes a single String argument');
+  }
+  return withMeta(function GeoWithin(value) {
+    var error = new Error('Invalid value passed to GeoWithin for ' + field);
+
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      throw error;
+    }
+
+    var within;
+    if (value.hasOwnProperty('type')) {
+      if (value.type !== 'Polygon' && value.type !== 'MultiPolygon') throw error;
+      var geometry = geoJSON(value);
+      if (!geometry) throw error;
+      within = { $geometry: geometry };
+    } else if (value.hasOwnProperty('box')) {
+      var box = geoPositions(value.box, 2);
+      if (!box || box.length !== 2) throw error;
+      within = { $box: box };
+    } else if (value.hasOwnProperty('polygon')) {
+      var polygon = geoPositions(value.polygon, 3);
+      if (!polygon) throw error;
+      within = { $polygon: polygon };
+    } else if (value.hasOwnProperty('centerSphere')) {
+      var cs = value.centerSphere;
+      if (!Array.isArray(cs) || cs.length !== 2) throw error;
+      var center = geoPosition(cs[0]);
+      var radius = parseFloat(cs[1]);
+      if (!center || isNaN(radius) || radius < 0 || radius > Math.PI) throw error;
+      within = { $centerSphere: [ center, radius ] };
+    } else {
+      throw error;
+    }
+
+    var selector = {};
+    selector[field] = {
+      $geoWithin: within,
+    };
+    return selector;
+  }, {
+    operator: 'geoWithin',
+    format:   geoShapeName,
+    schema:   {
+      anyOf: [
+        {
+          type: 'object',
+          properties: {
+            box: {
+              type:     'array',
+              items:    geoPositionSchema(),
+              minItems: 2,
+              maxItems: 2,
+            },
+          },
+          required: ['box'],
+        },
+        {
+          type: 'object',
+          properties: {
+            polygon: {
+              type:     'array',
+              items:    geoPositionSchema(),
+              minItems: 3,
+            },
+          },
+          required: ['polygon'],
+        },
+        {
+          type: 'object',
+          properties: {
+            centerSphere: {
+              type:  'array',
+              items: [
+                geoPositionSchema(),
+                { type: 'number', minimum: 0 },
+              ],
+            },
+          },
+          required: ['centerSphere'],
+        },
+        geoJSONSchema(['Polygon', 'MultiPolygon']),
+      ],
+    },
+  });
+};
+
+/**
+ * GeoIntersects(field)({ type: 'Polygon', coordinates: [...] })
+ *
+ * { field: { $geoIntersects: { $geometry: { type: 'Polygon', ... } } } }
+ *
+ * The value may be any GeoJSON geometry
+ *
+ * https://docs.mongodb.org/v3.0/reference/operator/query/geoIntersects/
+ */
+Filter.GeoIntersects = function GeoIntersectsFactory(field) {
+  if (arguments.length !== 1 || typeof field !== 'string') {
+    throw new Error('GeoIntersects takes a single String argument');
+  }
+  return withMeta(function GeoIntersects(value) {
+    var geometry = geoJSON(value);
+    if (!geometry) {
+      throw new Error('Invalid value passed to GeoIntersects for ' + field);
+    }
+    var selector = {};
+    selector[field] = {
+      $geoIntersects: {
+        $geometry: geometry,
+      },
+    };
+    return selector;
+  }, {
+    operator: 'geoIntersects',
+    format:   geoShapeName,
+    schema:   geoJSONSchema([
+      'Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon',
+    ]),
+  });
+};
+
+/**
+ * Attaches meta data to a filter function, and returns the function.
+ * The built in factories supply:
+ *
+ *   schema:   A JSON Schema describing the values the function accepts
+ *   operator: Key in to the Filter.locales tables, for describe()
+ *   format:   Optional function to format the value, for describe()
+ */
+function withMeta (func, meta) {
+  func.meta = meta;
+  return func;
+}
+
+/**
+ * Checks the arguments of factories which take a field name and an
+ * optional value type. Returns the type, or null if there isn't one
+ */
+function fieldAndType (name, args) {
+  if (args.length < 1 || args.length > 2 || typeof args[0] !== 'string') {
+    throw new Error(name + ' takes a String argument and an optional value type');
+  }
+  return typeof args[1] === 'undefined' ? null : Filter.valueType(args[1]);
+}
+
+/**
+ * Converts a value to a type, throwing the supplied error if it
+ * can't. See Filter.coerce
+ */
+function typed (value, type, error) {
+  try {
+    return Filter.coerce(value, type);
+  } catch (e) {
+    throw error;
+  }
+}
+
+/**
+ * Schema for In/Nin/All
+ */
+function typedArraySchema (type) {
+  var schema = {
+    type: 'array',
+  };
+  if (type) schema.items = Filter.typeSchema(type);
+  return schema;
+}
+
+/**
+ * Returns the value as a Number or Date, parsing Strings the same
+ * way as the comparison factories do. Returns null if it can't.
+ */
+function numberOrDate (value) {
+  if (typeof value === 'number' || value instanceof Date) return value;
+  value = parseFloat(value);
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Phrases a RelativeDate value using the "relativeDate" and "units"
+ * of the locale table, falling back to English for anything missing
+ */
+function describeRelativeDate (value, locale) {
+  var en      = Filter.locales.en;
+  var phrases = locale && locale.relativeDate || {};
+  var units   = locale && locale.units || {};
+  var phrase  = function (key) {
+    return phrases.hasOwnProperty(key) ? phrases[ key ] : en.relativeDate[ key ];
+  };
+  var unitName = function (unit, count) {
+    var names = units.hasOwnProperty(unit) ? units[ unit ] : en.units[ unit ];
+    return names[ count === 1 ? 0 : 1 ];
+  };
+
+  if (typeof value === 'string') {
+    var mat = value.match(/^(this|previous|next)-(\w+)$/);
+    if (!mat) return phrase(value);
+    return phrase(mat[1]).replace('{unit}', unitName(dateUnit(mat[2]), 1));
+  }
+
+  var hasLast = value.hasOwnProperty('last');
+  var count   = parseFloat(hasLast ? value.last : value.next);
+  return phrase(hasLast ? 'last.count' : 'next.count')
+    .replace('{count}', String(count))
+    .replace('{unit}', unitName(dateUnit(value.unit), count));
+}
+
+/**
+ * Normalises a RelativeDate unit, e.g. "days" to "day". Returns
+ * null if it isn't a unit
+ */
+function dateUnit (unit) {
+  if (typeof unit !== 'string') return null;
+  unit = unit.replace(/s$/, '');
+  var units = ['minute', 'hour', 'day', 'week', 'month', 'quarter', 'year'];
+  return units.indexOf(unit) >= 0 ? unit : null;
+}
+
+/**
+ * Returns a new Date, "count" units after "date", in local time.
+ * Months, quarters and years which don't have the same day of the
+ * month end on their last day instead, so 31 May minus a month is
+ * 30 April, not 1 May
+ */
+function addDateUnits (date, unit, count) {
+  var d = new Date(date.getTime());
+  switch (unit) {
+    case 'minute':  d.setMinutes(d.getMinutes() + count);       break;
+    case 'hour':    d.setHours(d.getHours() + count);           break;
+    case 'day':     d.setDate(d.getDate() + count);             break;
+    case 'week':    d.setDate(d.getDate() + count * 7);         break;
+    case 'month':   addMonths(d, count);                        break;
+    case 'quarter': addMonths(d, count * 3);                    break;
+    case 'year':    addMonths(d, count * 12);                   break;
+  }
+  return d;
+}
+
+function addMonths (d, count) {
+  var day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + count);
+  var last = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  d.setDate(Math.min(day, last));
+}
+
+/**
+ * Returns a new Date at the start of the day/week/month/quarter/year
+ * which "date" is in, in local time
+ */
+function startOfDateUnit (date, unit, weekStartsOn) {
+  var d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  switch (unit) {
+    case 'week':
+      d.setDate(d.getDate() - (d.getDay() - weekStartsOn + 7) % 7);
+      break;
+    case 'month':
+      d.setDate(1);
+      break;
+    case 'quarter':
+      d.setDate(1);
+      d.setMonth(d.getMonth() - d.getMonth() % 3);
+      break;
+    case 'year':
+      d.setMonth(0, 1);
+      break;
+  }
+  return d;
+}
+
+/**
+ * Validates a [lng, lat] position, parsing Strings the same way as
+ * the comparison factories do. Returns a new position, or null if
+ * it isn't valid
+ */
+function geoPosition (position) {
+  if (!Array.isArray(position) || position.length !== 2) return null;
+  var lng = parseFloat(position[0]);
+  var lat = parseFloat(position[1]);
+  if (isNaN(lng) || lng < -180 || lng > 180) return null;
+  if (isNaN(lat) || lat < -90  || lat > 90)  return null;
+  return [ lng, lat ];
+}
+
+/**
+ * Validates an Array of at least "min" positions. Returns a new
+ * Array, or null if it isn't valid
+ */
+function geoPositions (positions, min) {
+  if (!Array.isArray(positions) || positions.length < min) return null;
+  positions = positions.map(geoPosition);
+  return positions.indexOf(null) >= 0 ? null : positions;
+}
+
+/**
+ * Validates the rings of a GeoJSON Polygon. Each ring must have at
+ * least 4 positions, and be closed, i.e. the last position must be
+ * the same as the first
+ */
+function geoRings (rings) {
+  if (!Array.isArray(rings) || !rings.length) return null;
+  rings = rings.map(function(ring){
+    ring = geoPositions(ring, 4);
+    if (!ring) return null;
+    var first = ring[0];
+    var last  = ring[ ring.length - 1 ];
+    return first[0] === last[0] && first[1] === last[1] ? ring : null;
+  });
+  return rings.indexOf(null) >= 0 ? null : rings;
+}
+
+/**
+ * Validates a GeoJSON geometry. Returns a new geometry, or null if
+ * it isn't valid
+ */
+function geoJSON (geometry) {
+  if (geometry === null || typeof geometry !== 'object') return null;
+
+  var all = function (list, func) {
+    if (!Array.isArray(list) || !list.length) return null;
+    list = list.map(func);
+    return list.indexOf(null) >= 0 ? null : list;
+  };
+
+  var c = geometry.coordinates;
+  switch (geometry.type) {
+    case 'Point':
+      c = geoPosition(c);
+      break;
+    case 'MultiPoint':
+      c = geoPositions(c, 1);
+      break;
+    case 'LineString':
+      c = geoPositions(c, 2);
+      break;
+    case 'MultiLineString':
+      c = all(c, function(line){ return geoPositions(line, 2); });
+      break;
+    case 'Polygon':
+      c = geoRings(c);
+      break;
+    case 'MultiPolygon':
+      c = all(c, geoRings);
+      break;
+    default:
+      return null;
+  }
+
+  return c ? { type: geometry.type, coordinates: c } : null;
+}
+
+/**
+ * Formats a GeoWithin/GeoIntersects value for describe()
+ */
+function geoShapeName (value) {
+  if (value.type) return value.type;
+  return Object.keys(value)[0];
+}
+
+function geoPositionSchema () {
+  return {
+    type:  'array',
+    items: [
+      { type: 'number', minimum: -180, maximum: 180 },
+      { type: 'number', minimum: -90,  maximum: 90 },
+    ],
+    minItems: 2,
+    maxItems: 2,
+  };
+}
+
+function geoJSONSchema (types) {
+  return {
+    type: 'object',
+    properties: {
+      type:        { 'enum': types },
+      coordinates: { type: 'array' },
+    },
+    required: ['type', 'coordinates'],
+  };
+}
+
+/**
+ * Normalises a Compare operator, e.g. "$lt" to "lt". Returns null if
+ * it isn't one
+ */
+function compareOperator (op) {
+  if (typeof op !== 'string') return null;
+  op = op.replace(/^\$/, '');
+  return ['eq', 'ne', 'gt', 'gte', 'lt', 'lte'].indexOf(op) >= 0 ? op : null;
+}
+
+/**
+ * Schema for the comparison factories without a value type. They
+ * take Numbers, or Strings which parseFloat turns into Numbers.
+ * Dates also work, but can't be described in JSON, so pass
+ * { type: 'date' } to accept date Strings
+ */
+function numberSchema () {
+  return {
+    anyOf: [
+      { type: 'number' },
+      { type: 'string', pattern: '^[-+]?(\\d+(\\.\\d*)?|\\.\\d+)([eE][-+]?\\d+)?$' },
+    ],
+  };
+}
+
+/**
+ * Schema for Or/And/Nor. When passed an Object of filter functions,
+ * the value is an Object with the same keys, each of which takes
+ * whatever value the child function takes.
+ */
+function childSchemas (filters) {
+  var schema = {
+    type: 'object',
+  };
+  if (Array.isArray(filters)) return schema;
+
+  schema.properties = {};
+  Object.keys(filters).forEach(function(name){
+    var child = filters[ name ];
+    if (typeof child !== 'function') return;
+    schema.properties[ name ] = (child.meta && child.meta.schema) || {};
+  });
+  return schema;
+}
+
+/**
+ * Returns a selector matching every document which the passed
+ * selector doesn't, using De Morgan's laws for the logical operators:
+ *
+ *   { a: 1, b: 2 }        => { $or:  [ { a: { $not: { $eq: 1 } } }, ... ] }
+ *   { $or:  [ A, B ] }    => { $nor: [ A, B ] }
+ *   { $nor: [ A, B ] }    => { $or:  [ A, B ] }
+ *   { $and: [ A, B ] }    => { $or:  [ not(A), not(B) ] }
+ *   { $expr: E }          => { $expr: { $not: [ E ] } }
+ *   { field: { $not: V } } => { field: V }
+ *
+ * Throws for things which can't be negated, such as $text
+ */
+function negate (selector) {
+  var keys = Object.keys(selector);
+
+  if (keys.length === 0) {
+    return { $nor: [ {} ] };
+  }
+  if (keys.length > 1) {
+    return {
+      $or: keys.map(function(k){
+        var clause = {};
+        clause[k] = selector[k];
+        return negate(clause);
+      }),
+    };
+  }
+
+  var k = keys[0];
+  var v = selector[k];
+
+  switch (k) {
+    case '$or':
+      return { $nor: v };
+    case '$nor':
+      return v.length === 1 ? v[0] : { $or: v };
+    case '$and':
+      if (v.length === 1) return negate(v[0]);
+      return { $or: v.map(negate) };
+    case '$expr':
+      return { $expr: { $not: [ v ] } };
+
+    /**
+     * Special case for $where as this is not allowed:
+     *     { $not: { $where: func } }
+     *
+     * But this equivalent is:
+     *     { $where: function(){ return !func.apply(this, arguments) } }
+     */
+    case '$where':
+      var where = v;
+      if (typeof where === 'string') {
+        where = Function('return !(' + where.replace(/[\s;]+$/, '') + ')');
+      } else {
+        where = function() {
+          return !(v.apply(this, arguments));
+        };
+      }
+      return {
+        $where: where,
+      };
+  }
+
+  if (k.substr(0, 1) === '$') {
+    throw new Error(k + ' can not be negated');
+  }
+
+  if (v instanceof RegExp) {
+    // { $not: RegExp } is fine and dandy. Leave alone
+  } else if (Filter._isOperatorObject(v)) {
+    if (v.$near || v.$nearSphere) {
+      throw new Error((v.$near ? '$near' : '$nearSphere') + ' can not be negated');
+    }
+    if (Object.keys(v).length === 1 && v.hasOwnProperty('$not')) {
+      var unwrapped = {};
+      unwrapped[k] = v.$not;
+      return unwrapped;
+    }
+    if (v.$regex) v = fixupRegex(v);
+  } else {
+    /**
+     * Not allowed: { field: { $not: 'wibble' } }
+     * Allowed:     { field: { $not: { $eq: 'wibble' } } }
+     *
+     * The same goes for Dates, ObjectIDs and sub-documents
+     */
+    v = {
+      $eq: v
+    };
+  }
+
+  var negated = {};
+  negated[k] = {
+    $not: v
+  };
+  return negated;
+}
+
 /**
  * Compresses:
  *   { $and: [
  *   	 { field1: 1 },
- *   	 { field2: 2 },
- *   	 { field3: 3 },
- *   	 { field2: 4 },
+ *   	 { field2: { $gt: 2 } },
+ *   	 { field2: { $lt: 5 } },
+ *   	 { field1: 4 },
  *   ] }
  *
  * To:
  *
  *   {
  *     field1: 1,
- *     field2: 2,
- *     field3: 3,
- *     $and: [ { field2: 4 } ],
+ *     field2: { $gt: 2, $lt: 5 },
+ *     $and: [ { field1: 4 } ],
  *   }
+ *
+ * Using the same merging as filter.query(). See Filter.merge
  */
 function fixupAnd (query) {
   if (!query.$and) return query;
-
-  var $and = [];
-
-  query.$and.forEach(function(q){
-    Object.keys(q).forEach(function(k){
-      if (query.hasOwnProperty(k)) {
-        $and.push(q);
-      } else {
-        query[ k ] = q[ k ];
-      }
-    })
-  });
-
-  delete query.$and;
-  if ($and.length) {
-    query.$and = $and;
-  }
-
-  return query;
+  return Filter.merge([ query ]);
 }
 
 /**
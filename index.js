@@ -0,0 +1,22 @@
+/**
+ * Entry point for using Filter outside of Meteor, e.g. from Node or
+ * a bundler:
+ *
+ *   var Filter = require('centiq-filters');
+ *
+ * The source files share a global "Filter" namespace, the same as
+ * they do inside the Meteor package, so it is created up front.
+ */
+var root = typeof global !== 'undefined' ? global : window;
+root.Filter = root.Filter || {};
+
+require('./adapter.js');
+require('./Filter.js');
+require('./merge.js');
+require('./storage.js');
+require('./types.js');
+require('./match.js');
+require('./locales/en.js');
+require('./filters/core.js');
+
+module.exports = root.Filter;
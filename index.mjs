@@ -0,0 +1,8 @@
+/**
+ * ES module entry point:
+ *
+ *   import Filter from 'centiq-filters';
+ */
+import Filter from './index.js';
+
+export default Filter;
@@ -0,0 +1,94 @@
+Filter = typeof Filter === 'undefined' ? {} : Filter;
+Filter.locales = Filter.locales || {};
+
+/**
+ * English phrasing for filter.describe()
+ *
+ * "operators" is keyed on the "operator" meta data supplied by the
+ * filter factories. A key may be suffixed with the type of the value
+ * being described ("date", "true", "false" or "null") for phrasing
+ * which depends on the value, e.g. "lt.date" reads "before" rather
+ * than "less than". When a key is missing, trailing ".parts" are
+ * removed until one is found.
+ */
+Filter.locales.en = {
+  operators: {
+    'default':          'is',
+    'eq':               'is',
+    'ne':               'is not',
+    'gt':               'more than',
+    'gt.date':          'after',
+    'gte':              'at least',
+    'gte.date':         'on or after',
+    'lt':               'less than',
+    'lt.date':          'before',
+    'lte':              'at most',
+    'lte.date':         'on or before',
+    'between':          'between',
+    'relativeDate':     'within',
+    'in':               'one of',
+    'nin':              'not one of',
+    'or':               'any of',
+    'and':              'all of',
+    'nor':              'none of',
+    'not':              'not',
+    'not.eq':           'is not',
+    'not.ne':           'is',
+    'not.gt':           'not more than',
+    'not.gt.date':      'not after',
+    'not.gte':          'not at least',
+    'not.gte.date':     'not on or after',
+    'not.lt':           'not less than',
+    'not.lt.date':      'not before',
+    'not.lte':          'not at most',
+    'not.lte.date':     'not on or before',
+    'not.in':           'not one of',
+    'not.exists':       'is not set',
+    'exists':           'is set',
+    'exists.false':     'is not set',
+    'not.exists.false': 'is set',
+    'type':             'has type',
+    'mod':              'modulo',
+    'regex':            'matches',
+    'text':             'contains',
+    'where':            'matches',
+    'all':              'all of',
+    'elemMatch':        'has an item matching',
+    'size':             'has size',
+    'near':             'near',
+    'geoWithin':        'within',
+    'geoIntersects':    'intersects',
+    'compare':          'where',
+    'expr':             'matches',
+  },
+  /**
+   * Filter.RelativeDate values. "{unit}" is replaced with one of the
+   * "units" below, singular or plural to match "{count}"
+   */
+  relativeDate: {
+    today:        'today',
+    yesterday:    'yesterday',
+    tomorrow:     'tomorrow',
+    'this':       'this {unit}',
+    previous:     'previous {unit}',
+    next:         'next {unit}',
+    'last.count': 'the last {count} {unit}',
+    'next.count': 'the next {count} {unit}',
+  },
+  units: {
+    minute:  ['minute', 'minutes'],
+    hour:    ['hour', 'hours'],
+    day:     ['day', 'days'],
+    week:    ['week', 'weeks'],
+    month:   ['month', 'months'],
+    quarter: ['quarter', 'quarters'],
+    year:    ['year', 'years'],
+  },
+  list:    ', ',
+  'null':  'nothing',
+  'true':  'yes',
+  'false': 'no',
+  date:    function (date) {
+    return date.toDateString();
+  },
+};
@@ -0,0 +1,403 @@
+Filter = typeof Filter === 'undefined' ? {} : Filter;
+
+/**
+ * match(selector, doc)
+ *
+ * Tests a plain JavaScript Object against a mongo selector, such as
+ * one returned by filter.query(). Supports the query operators
+ * generated by the factories in filters/core.js, including dotted
+ * paths and mongo's array semantics:
+ *
+ *   Filter.match({ 'tags.name': 'red' }, { tags: [ { name: 'red' } ] })
+ *   // true
+ *
+ * https://docs.mongodb.org/v3.0/reference/operator/query/
+ */
+Filter.match = function FilterMatch(selector, doc) {
+  if (selector === null || typeof selector !== 'object' || Array.isArray(selector)) {
+    throw new Error('match takes an Object selector');
+  }
+  return matchDocument(selector, doc);
+};
+
+function matchDocument (selector, doc) {
+  return Object.keys(selector).every(function(k){
+    var v = selector[k];
+    switch (k) {
+      case '$and':
+        return v.every(function(s){ return matchDocument(s, doc); });
+      case '$or':
+        return v.some(function(s){ return matchDocument(s, doc); });
+      case '$nor':
+        return !v.some(function(s){ return matchDocument(s, doc); });
+      case '$where':
+        if (typeof v === 'string') v = Function('return ' + v);
+        return !!v.call(doc);
+      case '$text':
+        return matchText(v, doc);
+      case '$expr':
+        return truthy(evaluate(v, doc));
+      case '$comment':
+        return true;
+    }
+    if (k.charAt(0) === '$') {
+      throw new Error('Unsupported operator in match: ' + k);
+    }
+    return matchValue(v, lookup(doc, k.split('.')));
+  });
+}
+
+/**
+ * Returns every value found at the path "parts" inside "value". An
+ * Array along the way fans out to each of its elements, so:
+ *
+ *   lookup({ a: [ { b: 1 }, { b: 2 } ] }, ['a', 'b']) => [1, 2]
+ *
+ * A numeric part also indexes into the Array itself.
+ */
+function lookup (value, parts) {
+  if (!parts.length) return [ value ];
+  if (value === null || typeof value !== 'object') return [ undefined ];
+
+  var part = parts[0];
+  var rest = parts.slice(1);
+
+  if (!Array.isArray(value)) {
+    return lookup(value[ part ], rest);
+  }
+
+  var found = [];
+  if (/^\d+$/.test(part)) {
+    found = found.concat(lookup(value[ parseInt(part) ], rest));
+  }
+  value.forEach(function(v){
+    if (v === null || typeof v !== 'object' || Array.isArray(v)) return;
+    found = found.concat(lookup(v, parts));
+  });
+  return found.length ? found : [ undefined ];
+}
+
+/**
+ * Values which a comparison is tried against. Arrays at the end of a
+ * path are compared both as a whole, and element by element.
+ */
+function candidates (values) {
+  var list = [];
+  values.forEach(function(v){
+    list.push(v);
+    if (Array.isArray(v)) list = list.concat(v);
+  });
+  return list;
+}
+
+/**
+ * Does the selector for a single field match any of the values
+ * found at that field's path
+ */
+function matchValue (selector, values) {
+  if (selector instanceof RegExp) {
+    return candidates(values).some(function(v){
+      return matchRegex(selector, v);
+    });
+  }
+  if (!Filter._isOperatorObject(selector)) {
+    return matchEquals(selector, values);
+  }
+  return Object.keys(selector).every(function(op){
+    if (op === '$options') return true;
+    if (!operators.hasOwnProperty(op)) {
+      throw new Error('Unsupported operator in match: ' + op);
+    }
+    return operators[ op ](selector[ op ], values, selector);
+  });
+}
+
+function matchEquals (expected, values) {
+  return candidates(values).some(function(v){
+    if (expected === null && typeof v === 'undefined') return true;
+    if (expected instanceof RegExp) return matchRegex(expected, v);
+    return Filter.adapter.equals(expected, v);
+  });
+}
+
+function matchRegex (regex, v) {
+  if (v instanceof RegExp) return v.toString() === regex.toString();
+  if (typeof v !== 'string') return false;
+  regex.lastIndex = 0;
+  return regex.test(v);
+}
+
+function compare (values, expected, test) {
+  return candidates(values).some(function(v){
+    if (expected instanceof Date) {
+      return v instanceof Date && test(v.getTime(), expected.getTime());
+    }
+    if (typeof expected !== typeof v || v === null) return false;
+    if (typeof expected !== 'number' && typeof expected !== 'string') return false;
+    return test(v, expected);
+  });
+}
+
+var operators = {
+  $eq: function (expected, values) {
+    return matchEquals(expected, values);
+  },
+  $ne: function (expected, values) {
+    return !matchEquals(expected, values);
+  },
+  $gt: function (expected, values) {
+    return compare(values, expected, function(a, b){ return a > b; });
+  },
+  $gte: function (expected, values) {
+    return compare(values, expected, function(a, b){ return a >= b; });
+  },
+  $lt: function (expected, values) {
+    return compare(values, expected, function(a, b){ return a < b; });
+  },
+  $lte: function (expected, values) {
+    return compare(values, expected, function(a, b){ return a <= b; });
+  },
+  $in: function (expected, values) {
+    return expected.some(function(e){
+      return matchEquals(e, values);
+    });
+  },
+  $nin: function (expected, values) {
+    return !operators.$in(expected, values);
+  },
+  $exists: function (expected, values) {
+    var exists = values.some(function(v){
+      return typeof v !== 'undefined';
+    });
+    return exists === !!expected;
+  },
+  $type: function (expected, values) {
+    return candidates(values).some(function(v){
+      return typeof v !== 'undefined' && bsonTypes(v).indexOf(expected) >= 0;
+    });
+  },
+  $mod: function (expected, values) {
+    return candidates(values).some(function(v){
+      return typeof v === 'number' && v % expected[0] === expected[1];
+    });
+  },
+  $regex: function (expected, values, selector) {
+    var regex = expected;
+    if (!(regex instanceof RegExp)) {
+      regex = new RegExp(String(regex), selector.$options || '');
+    } else if (selector.$options) {
+      regex = new RegExp(regex.source, selector.$options);
+    }
+    return candidates(values).some(function(v){
+      return matchRegex(regex, v);
+    });
+  },
+  $not: function (expected, values) {
+    return !matchValue(expected, values);
+  },
+  $all: function (expected, values) {
+    if (!expected.length) return false;
+    return expected.every(function(e){
+      return matchEquals(e, values);
+    });
+  },
+  $elemMatch: function (expected, values) {
+    var asDocument = !Filter._isOperatorObject(expected)
+      || Object.keys(expected).some(function(k){
+        return k === '$and' || k === '$or' || k === '$nor' || k === '$where';
+      });
+    return values.some(function(v){
+      if (!Array.isArray(v)) return false;
+      return v.some(function(el){
+        if (asDocument) {
+          return el !== null && typeof el === 'object' && matchDocument(expected, el);
+        }
+        return matchValue(expected, [ el ]);
+      });
+    });
+  },
+  $size: function (expected, values) {
+    return values.some(function(v){
+      return Array.isArray(v) && v.length === expected;
+    });
+  },
+};
+
+/**
+ * Evaluates an aggregation expression, as used by $expr, against a
+ * document. "$path" Strings are field paths, and Objects with a
+ * single "$operator" key are operator expressions. Supports the
+ * comparison, boolean and basic arithmetic operators.
+ *
+ * https://docs.mongodb.org/manual/meta/aggregation-quick-reference/#expressions
+ */
+function evaluate (expr, doc) {
+  if (typeof expr === 'string' && expr.charAt(0) === '$') {
+    return lookupExpression(doc, expr.substr(1).split('.'));
+  }
+  if (Array.isArray(expr)) {
+    return expr.map(function(e){ return evaluate(e, doc); });
+  }
+  if (!Filter._isOperatorObject(expr)) return expr;
+
+  var keys = Object.keys(expr);
+  if (keys.length !== 1 || !expressions.hasOwnProperty(keys[0])) {
+    throw new Error('Unsupported expression in match: ' + keys.join(', '));
+  }
+  if (keys[0] === '$literal') return expr.$literal;
+
+  var args = expr[ keys[0] ];
+  if (keys[0] === '$cond' && !Array.isArray(args)) {
+    args = [ args['if'], args.then, args['else'] ];
+  }
+  if (!Array.isArray(args)) args = [ args ];
+  return expressions[ keys[0] ](args.map(function(a){
+    return evaluate(a, doc);
+  }));
+}
+
+/**
+ * Field paths in expressions don't fan out over Arrays in the same
+ * way as in queries. A missing value is null
+ */
+function lookupExpression (value, parts) {
+  for (var i = 0; i < parts.length; ++i) {
+    if (value === null || typeof value !== 'object') return null;
+    if (Array.isArray(value)) {
+      var part = parts[i];
+      value = value.map(function(v){
+        return lookupExpression(v, [ part ]);
+      });
+    } else {
+      value = value[ parts[i] ];
+    }
+  }
+  return typeof value === 'undefined' ? null : value;
+}
+
+function truthy (v) {
+  return v !== false && v !== null && typeof v !== 'undefined' && v !== 0;
+}
+
+/**
+ * Orders values of different types in the same way as BSON does
+ */
+function compareValues (a, b) {
+  var rank = function (v) {
+    if (v === null || typeof v === 'undefined') return 1;
+    if (typeof v === 'number') return 2;
+    if (typeof v === 'string') return 3;
+    if (Array.isArray(v)) return 5;
+    if (typeof v === 'boolean') return 7;
+    if (v instanceof Date) return 8;
+    if (v instanceof RegExp) return 10;
+    return 4;
+  };
+  var ra = rank(a), rb = rank(b);
+  if (ra !== rb) return ra - rb;
+  if (ra === 1 || Filter.adapter.equals(a, b)) return 0;
+  if (ra === 8) return a.getTime() - b.getTime();
+  if (ra === 2 || ra === 3 || ra === 7) return a < b ? -1 : 1;
+  return JSON.stringify(a) < JSON.stringify(b) ? -1 : 1;
+}
+
+var expressions = {
+  $literal: null,
+  $eq:  function (a) { return compareValues(a[0], a[1]) === 0; },
+  $ne:  function (a) { return compareValues(a[0], a[1]) !== 0; },
+  $gt:  function (a) { return compareValues(a[0], a[1]) > 0; },
+  $gte: function (a) { return compareValues(a[0], a[1]) >= 0; },
+  $lt:  function (a) { return compareValues(a[0], a[1]) < 0; },
+  $lte: function (a) { return compareValues(a[0], a[1]) <= 0; },
+  $cmp: function (a) {
+    var c = compareValues(a[0], a[1]);
+    return c < 0 ? -1 : c > 0 ? 1 : 0;
+  },
+  $and: function (a) { return a.every(truthy); },
+  $or:  function (a) { return a.some(truthy); },
+  $not: function (a) { return !truthy(a[0]); },
+  $add: function (a) {
+    return a.reduce(function(sum, v){
+      return v instanceof Date ? new Date(v.getTime() + sum) : sum instanceof Date
+        ? new Date(sum.getTime() + v) : sum + v;
+    }, 0);
+  },
+  $subtract: function (a) {
+    if (a[0] instanceof Date && a[1] instanceof Date) return a[0].getTime() - a[1].getTime();
+    if (a[0] instanceof Date) return new Date(a[0].getTime() - a[1]);
+    return a[0] - a[1];
+  },
+  $multiply: function (a) {
+    return a.reduce(function(product, v){ return product * v; }, 1);
+  },
+  $divide: function (a) { return a[0] / a[1]; },
+  $mod:    function (a) { return a[0] % a[1]; },
+  $abs:    function (a) { return a[0] === null ? null : Math.abs(a[0]); },
+  $size:   function (a) { return a[0].length; },
+  $ifNull: function (a) { return a[0] === null ? a[1] : a[0]; },
+  $cond:   function (a) { return truthy(a[0]) ? a[1] : a[2]; },
+};
+
+/**
+ * Approximates mongo $text searches against every String found in
+ * the document. Terms are OR'd together, "quoted phrases" are
+ * required, and -terms exclude the document. Matching is case
+ * insensitive and does not do any stemming.
+ */
+function matchText (text, doc) {
+  var strings = [];
+  (function collect (v) {
+    if (typeof v === 'string') {
+      strings.push(v.toLowerCase());
+    } else if (v !== null && typeof v === 'object' && !(v instanceof Date)) {
+      Object.keys(v).forEach(function(k){ collect(v[ k ]); });
+    }
+  })(doc);
+
+  var words = strings.join(' ').split(/[^\w]+/);
+  var hasWord = function (w) {
+    return words.indexOf(w) >= 0;
+  };
+
+  var search   = text.$search.toLowerCase();
+  var phrases  = [];
+  search = search.replace(/"([^"]*)"/g, function(m, phrase){
+    phrases.push(phrase);
+    return ' ';
+  });
+
+  var terms    = [];
+  var excluded = [];
+  search.split(/\s+/).forEach(function(term){
+    if (!term.length) return;
+    if (term.charAt(0) === '-') {
+      excluded = excluded.concat(term.substr(1).split(/[^\w]+/));
+    } else {
+      terms = terms.concat(term.split(/[^\w]+/));
+    }
+  });
+  terms    = terms.filter(function(t){ return t.length; });
+  excluded = excluded.filter(function(t){ return t.length; });
+
+  if (excluded.some(hasWord)) return false;
+  if (!phrases.every(function(p){
+    return strings.some(function(s){ return s.indexOf(p) >= 0; });
+  })) return false;
+
+  return phrases.length > 0 || terms.some(hasWord);
+}
+
+/**
+ * BSON type numbers a value may be stored as, for $type. Whole
+ * numbers match the integer types as well as double.
+ */
+function bsonTypes (v) {
+  if (typeof v === 'number') return v % 1 === 0 ? [1, 16, 18] : [1];
+  if (typeof v === 'string') return [2];
+  if (typeof v === 'boolean') return [8];
+  if (v === null) return [10];
+  if (v instanceof Date) return [9];
+  if (v instanceof RegExp) return [11];
+  if (Array.isArray(v)) return [4];
+  return [3];
+}
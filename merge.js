@@ -0,0 +1,133 @@
+Filter = typeof Filter === 'undefined' ? {} : Filter;
+
+/**
+ * merge(queries)
+ *
+ * Combines a list of Mongo selectors into one, as if they had been
+ * put in an $and, but without the $and where it isn't needed:
+ *
+ *   Filter.merge([
+ *     { price: { $gte: 3 } },
+ *     { price: { $lt: 10 } },
+ *   ]) == { price: { $gte: 3, $lt: 10 } }
+ *
+ * Operator objects on the same field are combined as long as they
+ * don't use the same operator. Where they do, they are only combined
+ * when it is safe: equal values, the tighter of two bounds of the same
+ * type, the union of $nin, or all of the $all values. $and and $nor
+ * are flattened. Other top level operators, such as $or and $expr,
+ * are only combined when they are equal. Anything else is a real
+ * conflict, and goes in an $and alongside the merged fields:
+ *
+ *   Filter.merge([
+ *     { field1: 2 },
+ *     { field1: 3 },
+ *   ]) == { field1: 2, $and: [ { field1: 3 } ] }
+ */
+Filter.merge = function merge(queries) {
+  var merged = {};
+  var $and   = [];
+
+  var add = function (query) {
+    Object.keys(query).forEach(function(k){
+      var value = query[k];
+
+      if (k === '$and') return value.forEach(add);
+
+      if (!merged.hasOwnProperty(k)) {
+        merged[k] = value;
+        return;
+      }
+
+      var combined;
+      if (k === '$nor') {
+        combined = merged[k].concat(value);
+      } else if (k.charAt(0) === '$') {
+        combined = Filter.adapter.equals(merged[k], value) ? value : undefined;
+      } else {
+        combined = mergeField(merged[k], value);
+      }
+
+      if (typeof combined === 'undefined') {
+        var conflict = {};
+        conflict[k] = value;
+        $and.push(conflict);
+      } else {
+        merged[k] = combined;
+      }
+    });
+  };
+  queries.forEach(add);
+
+  if ($and.length) merged.$and = $and;
+
+  return merged;
+};
+
+/**
+ * Combines two values for the same field, or returns undefined if
+ * they can't be combined
+ */
+function mergeField (a, b) {
+  if (Filter.adapter.equals(a, b)) return a;
+  if (!Filter._isOperatorObject(a) || !Filter._isOperatorObject(b)) return undefined;
+
+  var merged = {};
+  Object.keys(a).forEach(function(op){
+    merged[op] = a[op];
+  });
+
+  var ok = Object.keys(b).every(function(op){
+    if (!merged.hasOwnProperty(op)) {
+      merged[op] = b[op];
+      return true;
+    }
+    var value = mergeOperator(op, merged[op], b[op]);
+    if (typeof value === 'undefined') return false;
+    merged[op] = value;
+    return true;
+  });
+
+  // $options belongs to $regex, so they can only be merged together
+  if (ok && a.hasOwnProperty('$regex') && b.hasOwnProperty('$regex')) ok = false;
+
+  return ok ? merged : undefined;
+}
+
+/**
+ * Combines two values for the same operator, or returns undefined
+ * if they can't be combined
+ */
+function mergeOperator (op, a, b) {
+  if (Filter.adapter.equals(a, b)) return a;
+
+  switch (op) {
+    case '$gt':
+    case '$gte':
+      if (!sameKind(a, b)) return undefined;
+      return a > b ? a : b;
+    case '$lt':
+    case '$lte':
+      if (!sameKind(a, b)) return undefined;
+      return a < b ? a : b;
+    case '$nin':
+      return a.concat(b.filter(function(value){
+        return !a.some(function(v){
+          return Filter.adapter.equals(v, value);
+        });
+      }));
+    case '$all':
+      return a.concat(b);
+  }
+
+  return undefined;
+}
+
+/**
+ * Bounds can only be tightened when they are compared the same way
+ */
+function sameKind (a, b) {
+  if (a instanceof Date && b instanceof Date) return true;
+  return (typeof a === 'number' || typeof a === 'string')
+    && typeof a === typeof b;
+}
@@ -10,12 +10,22 @@ Package.onUse(function(api) {
   api.versionsFrom('1.1.0.3');
 
   api.use([
+    'check',
     'ejson',
     'tracker',
   ]);
 
+  api.use('ddp', ['client', 'server'], { weak: true });
+  api.use('mongo', ['client', 'server'], { weak: true });
+
   api.addFiles([
+    'adapter.js',
     'Filter.js',
+    'merge.js',
+    'storage.js',
+    'types.js',
+    'match.js',
+    'locales/en.js',
     'filters/core.js',
   ]);
 
@@ -0,0 +1,154 @@
+Filter = typeof Filter === 'undefined' ? {} : Filter;
+Filter.storage = Filter.storage || {};
+
+/**
+ * Storage for filter.persist(storage, key). Each storage has:
+ *
+ *   load(key, callback) Calls callback with the values saved for
+ *                       "key", or null if there are none. This may
+ *                       happen straight away or later on. If later, it
+ *                       may return an Object with a stop() function,
+ *                       for when the values are no longer wanted
+ *   save(key, values)   Saves the values for "key"
+ *
+ * Values are Objects from filter.save(), so may contain Dates and
+ * keys starting with "$". Anything with these two functions can be
+ * passed to persist().
+ */
+
+/**
+ * Uses window.localStorage, so values are kept between visits
+ *
+ * @param  {String} prefix Optional prefix for the storage keys,
+ *                         defaults to "filter:"
+ */
+Filter.storage.local = function localStore (prefix) {
+  return webStorage(function () {
+    return window.localStorage;
+  }, prefix);
+};
+
+/**
+ * Uses window.sessionStorage, so values are kept until the browser
+ * tab is closed
+ *
+ * @param  {String} prefix Optional prefix for the storage keys,
+ *                         defaults to "filter:"
+ */
+Filter.storage.session = function sessionStore (prefix) {
+  return webStorage(function () {
+    return window.sessionStorage;
+  }, prefix);
+};
+
+/**
+ * Keeps values in memory, e.g. for remembering filters whilst moving
+ * between screens, or for tests
+ */
+Filter.storage.memory = function memoryStore () {
+  var stored = {};
+  return {
+    load: function (key, callback) {
+      callback(stored.hasOwnProperty(key) ? Filter.adapter.clone(stored[key]) : null);
+    },
+    save: function (key, values) {
+      stored[key] = Filter.adapter.clone(values);
+    },
+  };
+};
+
+/**
+ * Keeps values in a Meteor collection, with a document per user and
+ * key:
+ *
+ *   { _id: userId + '/' + key, userId: userId, key: key, values: '...' }
+ *
+ * The values are stored as an EJSON String, as Mongo doesn't allow
+ * field names which start with "$". The current user's documents need
+ * to be published to the client, and the collection needs allow rules
+ * for inserting and updating them. Nothing is saved when no user is
+ * logged in.
+ *
+ * Loading waits, reactively, until the user has finished logging in
+ * and "ready" returns true, e.g. the subscription to their documents
+ * is ready. Without "ready", it only waits for the log in.
+ *
+ * @param  {Mongo.Collection} collection
+ * @param  {Function|Object}  ready      Optional reactive function, or
+ *                                       a subscription handle
+ */
+Filter.storage.collection = function collectionStore (collection, ready) {
+  if (!collection || typeof collection.findOne !== 'function') {
+    throw new Error('collection storage takes a Mongo.Collection');
+  }
+  if (ready && typeof ready.ready === 'function') {
+    ready = ready.ready.bind(ready);
+  }
+  if (ready && typeof ready !== 'function') {
+    throw new Error('collection storage takes an optional ready Function or subscription handle');
+  }
+
+  var id = function (key) {
+    var userId = Meteor.userId();
+    return userId ? userId + '/' + key : null;
+  };
+
+  return {
+    load: function (key, callback) {
+      return Tracker.autorun(function (computation) {
+        if (typeof Meteor.loggingIn === 'function' && Meteor.loggingIn()) return;
+        if (ready && !ready()) return;
+        computation.stop();
+
+        Tracker.nonreactive(function () {
+          var _id = id(key);
+          var doc = _id && collection.findOne(_id);
+          callback(doc ? Filter.adapter.parse(doc.values) : null);
+        });
+      });
+    },
+    save: function (key, values) {
+      var _id = id(key);
+      if (!_id) return;
+
+      values = Filter.adapter.stringify(values);
+      if (collection.findOne(_id)) {
+        collection.update(_id, { $set: { values: values } });
+      } else {
+        collection.insert({
+          _id:    _id,
+          userId: Meteor.userId(),
+          key:    key,
+          values: values,
+        });
+      }
+    },
+  };
+};
+
+/**
+ * Storage for the Web Storage API. "getStorage" is only called when
+ * loading or saving, so a storage can be created where window doesn't
+ * exist, e.g. on the server. Values which can't be parsed, e.g.
+ * because they were edited by hand, are ignored
+ */
+function webStorage (getStorage, prefix) {
+  prefix = typeof prefix === 'string' ? prefix : 'filter:';
+  return {
+    load: function (key, callback) {
+      var str = getStorage().getItem(prefix + key);
+      var values = null;
+      if (str !== null) {
+        try {
+          values = Filter.adapter.parse(str);
+        } catch (e) {
+          values = null;
+        }
+      }
+      callback(values);
+    },
+    save: function (key, values) {
+      getStorage().setItem(prefix + key, Filter.adapter.stringify(values));
+    },
+  };
+}
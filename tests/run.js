@@ -3,6 +3,15 @@
 var testrunner = require('qunit');
 
 testrunner.run({
+  deps:  [
+    '../adapter.js',
+    '../Filter.js',
+    '../merge.js',
+    '../storage.js',
+    '../types.js',
+    '../match.js',
+    '../locales/en.js',
+  ],
   code:  '../filters/core.js',
   tests: './tests.js',
 }, function(err){
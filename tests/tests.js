@@ -46,6 +46,169 @@ QUnit.test('Filter.Ne', function() {
   });
 });
 
+QUnit.test('Filter value types', function() {
+  deepEqual(Filter.Eq('active', { type: 'boolean' })('yes'), { active: true });
+  deepEqual(Filter.Ne('active', 'boolean')('0'), { active: { $ne: false } });
+  deepEqual(Filter.Gte('added', 'date')('2015-12-20T00:00:00Z'), {
+    added: { $gte: new Date(Date.UTC(2015, 11, 20)) }
+  });
+  deepEqual(Filter.Lt('qty', 'integer')(' 4 '), { qty: { $lt: 4 } });
+  deepEqual(Filter.In('size', { type: 'enum', values: [1, 2, 'L'] })(['2', 'L']), {
+    size: { $in: [2, 'L'] }
+  });
+  deepEqual(Filter.Nin('owner', 'objectId')(['AAAAAAAAAAAAAAAAAAAAAAAA']), {
+    owner: { $ne: 'aaaaaaaaaaaaaaaaaaaaaaaa' }
+  });
+
+  var root = typeof global !== 'undefined' ? global : window;
+  var ObjectID = function (hex) {
+    this._str = hex;
+  };
+  root.Mongo = { ObjectID: ObjectID };
+  try {
+    var id = Filter.coerce('AAAAAAAAAAAAAAAAAAAAAAAA', 'objectId');
+    ok(id instanceof ObjectID);
+    equal(id._str, 'aaaaaaaaaaaaaaaaaaaaaaaa');
+    strictEqual(Filter.coerce(id, 'objectId'), id);
+    deepEqual(Filter.Eq('owner', 'objectId')('BBBBBBBBBBBBBBBBBBBBBBBB'), {
+      owner: new ObjectID('bbbbbbbbbbbbbbbbbbbbbbbb')
+    });
+  } finally {
+    delete root.Mongo;
+  }
+
+  deepEqual(Filter.Between('price', 'number')({ min: '1.5', max: 3 }), {
+    price: { $gte: 1.5, $lte: 3 }
+  });
+  deepEqual(Filter.Eq('code', 'string')(12), { code: '12' });
+  deepEqual(Filter.Eq('code', { type: 'string', nullable: true })(null), { code: null });
+  deepEqual(Filter.Size('field')('2'), { field: { $size: 2 } });
+  deepEqual(Filter.In('size', 'integer').meta.schema, {
+    type: 'array', items: { type: 'integer' }
+  });
+
+  throws(function() {
+    Filter.Gt('price', 'number')('3abc');
+  }, /Invalid value passed to Gt for price/);
+  throws(function() {
+    Filter.Eq('active', 'boolean')(null);
+  });
+  throws(function() {
+    Filter.Eq('added', 'date')('20/12/2015');
+  });
+  throws(function() {
+    Filter.All('tags', { type: 'enum', values: ['a'] })(['a', 'b']);
+  });
+  throws(function() {
+    Filter.Eq('field', 'unknown');
+  }, /Unknown value type/);
+  throws(function() {
+    Filter.Size('field')(1.5);
+  });
+});
+
+QUnit.test('Filter.Between', function() {
+  deepEqual(
+    Filter.Between('field')({ min: 3, max: '10' }), {
+      field: { $gte: 3, $lte: 10 }
+    }
+  );
+  deepEqual(
+    Filter.Between('field')({ min: 3, minInclusive: false }), {
+      field: { $gt: 3 }
+    }
+  );
+  var date = new Date();
+  deepEqual(
+    Filter.Between('field')({ max: date, maxInclusive: false }), {
+      field: { $lt: date }
+    }
+  );
+  throws(function() {
+    Filter.Between('field')({});
+  });
+  throws(function() {
+    Filter.Between('field')({ min: 'wibble' });
+  });
+  throws(function() {
+    Filter.Between('field')({ min: 10, max: 3 });
+  });
+  throws(function() {
+    Filter.Between('field')({ min: 3, max: date });
+  });
+});
+
+QUnit.test('Filter.RelativeDate', function() {
+  var filter = Filter.RelativeDate('field', {
+    now: function() {
+      return new Date(2015, 11, 20, 12, 30);
+    },
+  });
+  deepEqual(
+    filter({ last: 7, unit: 'days' }), {
+      field: {
+        $gte: new Date(2015, 11, 13, 12, 30),
+        $lt:  new Date(2015, 11, 20, 12, 30),
+      }
+    }
+  );
+  deepEqual(
+    filter('today'), {
+      field: {
+        $gte: new Date(2015, 11, 20),
+        $lt:  new Date(2015, 11, 21),
+      }
+    }
+  );
+  deepEqual(
+    filter('this-month'), {
+      field: {
+        $gte: new Date(2015, 11, 1),
+        $lt:  new Date(2016, 0, 1),
+      }
+    }
+  );
+  deepEqual(
+    filter('previous-quarter'), {
+      field: {
+        $gte: new Date(2015, 6, 1),
+        $lt:  new Date(2015, 9, 1),
+      }
+    }
+  );
+  deepEqual(
+    filter('this-week'), {
+      field: {
+        $gte: new Date(2015, 11, 14),
+        $lt:  new Date(2015, 11, 21),
+      }
+    }
+  );
+  var monthEnd = Filter.RelativeDate('field', {
+    now: function() {
+      return new Date(2015, 4, 31, 12, 30);
+    },
+  });
+  deepEqual(monthEnd({ last: 1, unit: 'month' }).field.$gte, new Date(2015, 3, 30, 12, 30));
+  deepEqual(monthEnd({ last: 1, unit: 'quarter' }).field.$gte, new Date(2015, 1, 28, 12, 30));
+  deepEqual(monthEnd({ next: 1, unit: 'month' }).field.$lt, new Date(2015, 5, 30, 12, 30));
+  deepEqual(Filter.RelativeDate('field', {
+    now: function() {
+      return new Date(2016, 1, 29);
+    },
+  })({ last: 1, unit: 'year' }).field.$gte, new Date(2015, 1, 28));
+
+  throws(function() {
+    filter('wibble');
+  });
+  throws(function() {
+    filter({ last: -1, unit: 'days' });
+  });
+  throws(function() {
+    filter({ last: 7, unit: 'fortnights' });
+  });
+});
+
 ['in', 'nin'].forEach(function(type) {
   var name = ucfirst(type);
   QUnit.test('Filter.' + name, function() {
@@ -146,6 +309,10 @@ QUnit.test('Filter.And', function() {
 });
 
 QUnit.test('Filter.Not', function() {
+  deepEqual(Filter.Not(Filter.Compare('a', 'lt', 'b'))(false), {});
+  deepEqual(Filter.Not(Filter.Compare('a', 'lt', 'b'))(true), {
+    $expr: { $not: [ { $lt: ['$a', '$b'] } ] }
+  });
   deepEqual(
     Filter.Not(Filter.Eq('field'))(3), {
       field: {
@@ -196,6 +363,52 @@ QUnit.test('Filter.Not', function() {
       }
     }
   );
+  deepEqual(
+    Filter.Not(Filter.Or([
+      Filter.Eq('field1')(1),
+      Filter.Eq('field2')(2),
+    ]))(), {
+      $nor: [{ field1: 1 }, { field2: 2 }]
+    }
+  );
+  deepEqual(
+    Filter.Not(Filter.And([
+      Filter.Eq('field1')(1),
+      Filter.Gt('field2')(2),
+    ]))(), {
+      $or: [
+        { field1: { $not: { $eq: 1 } } },
+        { field2: { $not: { $gt: 2 } } },
+      ]
+    }
+  );
+  deepEqual(
+    Filter.Not(Filter.Not(Filter.Gt('field')))(3), {
+      field: { $gt: 3 }
+    }
+  );
+  deepEqual(
+    Filter.Not(Filter.Nor([
+      Filter.Eq('field')(1),
+    ]))(), {
+      field: 1
+    }
+  );
+  deepEqual(
+    Filter.Not(Filter.Eq('d', { type: 'date' }))('2015-01-01'), {
+      d: { $not: { $eq: new Date('2015-01-01') } }
+    }
+  );
+  deepEqual(
+    Filter.Not(function(address) {
+      return { address: address };
+    })({ city: 'Leeds', zip: 'LS1' }), {
+      address: { $not: { $eq: { city: 'Leeds', zip: 'LS1' } } }
+    }
+  );
+  throws(function() {
+    Filter.Not(Filter.Text())('apple');
+  });
 });
 
 QUnit.test('Filter.Nor', function() {
@@ -402,6 +615,1465 @@ QUnit.test('Filter.Size', function() {
   });
 });
 
+QUnit.test('Filter.Near', function() {
+  deepEqual(
+    Filter.Near('field')({ point: [-0.1, 51.5], maxDistance: 1000 }), {
+      field: {
+        $near: {
+          $geometry: { type: 'Point', coordinates: [-0.1, 51.5] },
+          $maxDistance: 1000
+        }
+      }
+    }
+  );
+  deepEqual(
+    Filter.Near('field')({ type: 'Point', coordinates: [-0.1, 51.5] }), {
+      field: {
+        $near: {
+          $geometry: { type: 'Point', coordinates: [-0.1, 51.5] }
+        }
+      }
+    }
+  );
+  throws(function() {
+    Filter.Near('field')([200, 51.5]);
+  });
+  throws(function() {
+    Filter.Near('field')({ point: [-0.1, 51.5], maxDistance: -1 });
+  });
+  throws(function() {
+    Filter.Near('field')({ point: [-0.1, 51.5], minDistance: 10, maxDistance: 5 });
+  });
+});
+
+QUnit.test('Filter.GeoWithin', function() {
+  deepEqual(
+    Filter.GeoWithin('field')({ box: [[0, 0], [10, 10]] }), {
+      field: { $geoWithin: { $box: [[0, 0], [10, 10]] } }
+    }
+  );
+  deepEqual(
+    Filter.GeoWithin('field')({ polygon: [[0, 0], [3, 6], [6, 0]] }), {
+      field: { $geoWithin: { $polygon: [[0, 0], [3, 6], [6, 0]] } }
+    }
+  );
+  deepEqual(
+    Filter.GeoWithin('field')({ centerSphere: [[0, 0], 0.1] }), {
+      field: { $geoWithin: { $centerSphere: [[0, 0], 0.1] } }
+    }
+  );
+  var polygon = {
+    type: 'Polygon',
+    coordinates: [[[0, 0], [3, 6], [6, 0], [0, 0]]],
+  };
+  deepEqual(
+    Filter.GeoWithin('field')(polygon), {
+      field: { $geoWithin: { $geometry: polygon } }
+    }
+  );
+  throws(function() {
+    Filter.GeoWithin('field')({
+      type: 'Polygon',
+      coordinates: [[[0, 0], [3, 6], [6, 0], [1, 1]]],
+    });
+  });
+  throws(function() {
+    Filter.GeoWithin('field')({ type: 'Point', coordinates: [0, 0] });
+  });
+  throws(function() {
+    Filter.GeoWithin('field')({ box: [[0, 0], [10, 100]] });
+  });
+});
+
+QUnit.test('Filter.GeoIntersects', function() {
+  var line = {
+    type: 'LineString',
+    coordinates: [[0, 0], [3, 6]],
+  };
+  deepEqual(
+    Filter.GeoIntersects('field')(line), {
+      field: { $geoIntersects: { $geometry: line } }
+    }
+  );
+  throws(function() {
+    Filter.GeoIntersects('field')({ type: 'LineString', coordinates: [[0, 0]] });
+  });
+  throws(function() {
+    Filter.GeoIntersects('field')({ type: 'Circle', coordinates: [0, 0] });
+  });
+});
+
+QUnit.test('Filter.Compare', function() {
+  deepEqual(
+    Filter.Compare('stock', 'lt', 'reorderLevel')(true), {
+      $expr: { $lt: ['$stock', '$reorderLevel'] }
+    }
+  );
+  deepEqual(
+    Filter.Compare('stock', 'lt', 'reorderLevel')(false), {}
+  );
+  deepEqual(
+    Filter.Compare('stock', ['lt', '$gte'], 'reorderLevel')('gte'), {
+      $expr: { $gte: ['$stock', '$reorderLevel'] }
+    }
+  );
+  throws(function() {
+    Filter.Compare('stock', ['lt', 'gte'], 'reorderLevel')('eq');
+  });
+  throws(function() {
+    Filter.Compare('stock', 'lt', 'reorderLevel')('wibble');
+  });
+  throws(function() {
+    Filter.Compare('stock', 'below', 'reorderLevel');
+  });
+});
+
+QUnit.test('Filter.Expr', function() {
+  var expr = { $gt: [{ $multiply: ['$price', 2] }, '$cost'] };
+  deepEqual(Filter.Expr(expr)(true), { $expr: expr });
+  deepEqual(Filter.Expr(expr)(false), {});
+  deepEqual(
+    Filter.Expr(function(value) {
+      return { $gt: ['$price', { $add: ['$cost', value] }] };
+    })(5), {
+      $expr: { $gt: ['$price', { $add: ['$cost', 5] }] }
+    }
+  );
+  throws(function() {
+    Filter.Expr(expr)('wibble');
+  });
+});
+
+QUnit.test('Filter factory meta', function() {
+  deepEqual(Filter.Eq('field').meta.schema, {
+    type: ['string', 'number', 'null'],
+  });
+  deepEqual(Filter.Gte('field').meta.schema, {
+    anyOf: [
+      { type: 'number' },
+      { type: 'string', pattern: '^[-+]?(\\d+(\\.\\d*)?|\\.\\d+)([eE][-+]?\\d+)?$' },
+    ],
+  });
+  deepEqual(Filter.Gte('field', { type: 'date' }).meta.schema, {
+    type: 'string', format: 'date-time',
+  });
+  deepEqual(Filter.In('field').meta.schema, {
+    type: 'array',
+  });
+  deepEqual(Filter.Mod('field').meta.schema, {
+    type: 'object',
+    properties: {
+      divisor:   { type: 'integer' },
+      remainder: { type: 'integer' },
+    },
+    required: ['divisor', 'remainder'],
+  });
+  deepEqual(Filter.Not(Filter.Exists('field')).meta.schema, {
+    type: 'boolean',
+  });
+  deepEqual(Filter.Or({
+    f1: Filter.Eq('field1'),
+    f2: Filter.Size('field2'),
+    f3: Filter.Eq('field3')(3),
+  }).meta.schema, {
+    type: 'object',
+    properties: {
+      f1: { type: ['string', 'number', 'null'] },
+      f2: { type: 'integer', minimum: 0 },
+    },
+  });
+
+  equal(Filter.Gte('field').meta.operator, 'gte');
+  equal(Filter.Not(Filter.Lt('field')).meta.operator, 'not.lt');
+  equal(Filter.Exists('field').meta.format(true), '');
+  equal(Filter.Regex('field', 'x', 'i').meta.format(), '/x/i');
+});
+
+QUnit.test('Filter.match', function() {
+  var doc = {
+    price: 5,
+    name:  'Apple',
+    added: new Date(2015, 11, 20),
+    tags:  [ 'red', 'green' ],
+    stock: [ { store: 'a', qty: 2 }, { store: 'b', qty: 10 } ],
+  };
+
+  ok(Filter.match(Filter.Eq('name')('Apple'), doc));
+  ok(!Filter.match(Filter.Ne('name')('Apple'), doc));
+  ok(Filter.match(Filter.Gte('price')(5), doc));
+  ok(!Filter.match(Filter.Gt('price')(5), doc));
+  ok(Filter.match(Filter.Lt('added')(new Date(2015, 11, 21)), doc));
+  ok(!Filter.match(Filter.Lt('added')(5), doc));
+  ok(Filter.match(Filter.Eq('tags')('red'), doc));
+  ok(Filter.match(Filter.In('tags')(['blue', 'green']), doc));
+  ok(!Filter.match(Filter.Nin('tags')(['blue', 'green']), doc));
+  ok(Filter.match(Filter.All('tags')(['green', 'red']), doc));
+  ok(Filter.match(Filter.Size('tags')(2), doc));
+  ok(Filter.match(Filter.Exists('missing')(false), doc));
+  ok(Filter.match(Filter.Type('name', 2)(), doc));
+  ok(Filter.match(Filter.Mod('price')({ divisor: 2, remainder: 1 }), doc));
+  ok(Filter.match(Filter.Regex('name', '^a', 'i')(), doc));
+  ok(!Filter.match(Filter.Not(Filter.Eq('name'))('Apple'), doc));
+  ok(Filter.match(Filter.Eq('stock.store')('b'), doc));
+  ok(Filter.match(Filter.Eq('stock.1.qty')(10), doc));
+  ok(Filter.match(Filter.ElemMatch('stock')({ store: 'a', qty: { $gt: 1 } }), doc));
+  ok(!Filter.match(Filter.ElemMatch('stock')({ store: 'a', qty: { $gt: 5 } }), doc));
+  ok(Filter.match(Filter.Or({
+    a: Filter.Eq('name'),
+    b: Filter.Gt('price'),
+  })({ a: 'Pear', b: 4 }), doc));
+  ok(!Filter.match(Filter.Nor([
+    Filter.Eq('name')('Pear'),
+    Filter.Eq('price')(5),
+  ])(), doc));
+  ok(Filter.match(Filter.Where(function(value) {
+    return this.price === value;
+  })(5), doc));
+  ok(Filter.match(Filter.Text()('banana apple'), doc));
+  ok(!Filter.match(Filter.Text()('apple -red'), doc));
+  ok(Filter.match(Filter.Compare('stock', 'lt', 'reorder.level')(true), {
+    stock: 2, reorder: { level: 5 }
+  }));
+  ok(!Filter.match(Filter.Compare('stock', 'lt', 'reorder.level')(true), {
+    stock: 8, reorder: { level: 5 }
+  }));
+  ok(Filter.match(Filter.Expr({
+    $eq: [{ $multiply: ['$price', 2] }, { $size: '$stock' }]
+  })(true), { price: 1, stock: [1, 2] }));
+  throws(function() {
+    Filter.match({ $unknown: 1 }, doc);
+  });
+});
+
+QUnit.test('Filter.merge', function() {
+  deepEqual(Filter.merge([
+    { price: { $gte: 3 } },
+    { price: { $lt: 10 }, name: 'Apple' },
+    { $and: [{ stock: { $gt: 1 } }, { stock: { $gt: 5 } }] },
+  ]), {
+    price: { $gte: 3, $lt: 10 },
+    name:  'Apple',
+    stock: { $gt: 5 },
+  });
+  deepEqual(Filter.merge([
+    { tags: { $nin: ['a', 'b'] } },
+    { tags: { $nin: ['b', 'c'], $all: ['d'] } },
+    { tags: { $all: ['e'] } },
+  ]), {
+    tags: { $nin: ['a', 'b', 'c'], $all: ['d', 'e'] },
+  });
+  deepEqual(Filter.merge([
+    { name: 'Apple' },
+    { name: 'Apple' },
+    { name: 'Pear' },
+    { price: { $in: [1, 2] } },
+    { price: { $in: [2, 3] } },
+    { price: { $gt: 'a' } },
+    { price: { $gt: 5 } },
+    { $or: [{ a: 1 }, { b: 1 }] },
+    { $or: [{ c: 1 }, { d: 1 }] },
+  ]), {
+    name:  'Apple',
+    price: { $in: [1, 2], $gt: 'a' },
+    $or:   [{ a: 1 }, { b: 1 }],
+    $and:  [
+      { name: 'Pear' },
+      { price: { $in: [2, 3] } },
+      { price: { $gt: 5 } },
+      { $or: [{ c: 1 }, { d: 1 }] },
+    ],
+  });
+  deepEqual(Filter.merge([
+    { $expr: { $lt: ['$stock', '$reorder'] } },
+    { $expr: { $gt: ['$price', '$cost'] } },
+    { $expr: { $lt: ['$stock', '$reorder'] } },
+  ]), {
+    $expr: { $lt: ['$stock', '$reorder'] },
+    $and:  [
+      { $expr: { $gt: ['$price', '$cost'] } },
+    ],
+  });
+
+  var Spec = Filter.create({
+    filters: {
+      Low:    Filter.Compare('stock', 'lt', 'reorder'),
+      Profit: Filter.Compare('price', 'gt', 'cost'),
+    },
+  });
+  var filter = new Spec({ Low: true, Profit: true });
+  deepEqual(filter.query(), {
+    $expr: { $lt: ['$stock', '$reorder'] },
+    $and:  [
+      { $expr: { $gt: ['$price', '$cost'] } },
+    ],
+  });
+  ok(filter.matches({ stock: 1, reorder: 5, price: 3, cost: 2 }));
+  ok(!filter.matches({ stock: 1, reorder: 5, price: 1, cost: 2 }));
+  deepEqual(Filter.And({
+    Low:    Filter.Compare('stock', 'lt', 'reorder'),
+    Profit: Filter.Compare('price', 'gt', 'cost'),
+  })({ Low: true, Profit: true }), {
+    $expr: { $lt: ['$stock', '$reorder'] },
+    $and:  [
+      { $expr: { $gt: ['$price', '$cost'] } },
+    ],
+  });
+});
+
+QUnit.test('Filter.adapters.plain', function() {
+  var adapter = Filter.adapters.plain;
+  var value   = { a: [1, { b: new Date(5) }], c: /x/i };
+  var clone   = adapter.clone(value);
+
+  deepEqual(clone, value);
+  ok(clone.a[1].b !== value.a[1].b);
+  ok(adapter.equals(clone, value));
+  ok(adapter.equals({ a: 1, b: 2 }, { b: 2, a: 1 }));
+  ok(!adapter.equals({ a: new Date(5) }, { a: new Date(6) }));
+  ok(!adapter.equals([1, 2], { 0: 1, 1: 2 }));
+  equal(
+    adapter.stringify({ b: new Date(5), a: 1 }, { canonical: true }),
+    '{"a":1,"b":{"$date":5}}'
+  );
+  deepEqual(adapter.parse('{"a":[{"$date":5}]}'), { a: [new Date(5)] });
+  equal(adapter.stringify({ a: /x/gi }), '{"a":{"$regexp":"x","$flags":"gi"}}');
+  deepEqual(adapter.parse(adapter.stringify({ a: [/red/i] })), { a: [/red/i] });
+
+  var ItemFilter = Filter.create([
+    { Item: Filter.ElemMatch('items') },
+  ]);
+  var filter = new ItemFilter({ Item: { name: /red/i } });
+  deepEqual(ItemFilter.fromQueryString(filter.toQueryString()).save(), {
+    Item: { name: /red/i }
+  });
+});
+
+QUnit.test('Filter instances', function() {
+  var ProductFilter = Filter.create([
+    { MinPrice: Filter.Gte('price') },
+    { MaxPrice: Filter.Lte('price') },
+    { Added:    Filter.Lt('added') },
+  ]);
+  var filter = new ProductFilter({ MinPrice: 3 });
+
+  deepEqual(ProductFilter.names(), ['MinPrice', 'MaxPrice', 'Added']);
+  deepEqual(filter.query(), { price: { $gte: 3 } });
+  filter.set({ MaxPrice: 10, Added: new Date(5) });
+  deepEqual(filter.query(), {
+    price: { $gte: 3, $lte: 10 },
+    added: { $lt: new Date(5) },
+  });
+  filter.unset('MaxPrice');
+  deepEqual(filter.save(), { MinPrice: 3, Added: new Date(5) });
+  filter.reset();
+  deepEqual(filter.save(), { MinPrice: 3 });
+  filter.clear();
+  deepEqual(filter.save(), {});
+  throws(function() {
+    filter.set('Unknown', 1);
+  });
+
+  filter.set('MaxPrice', 10);
+  deepEqual(filter.inverted(), {
+    price: { $not: { $lte: 10 } }
+  });
+  deepEqual(Filter.match(filter.inverted(), { price: 11 }), true);
+  filter.clear();
+  deepEqual(filter.inverted(), { $nor: [ {} ] });
+  deepEqual(Filter.match(filter.inverted(), { price: 11 }), false);
+
+  var qs = new ProductFilter({ Added: new Date(5), MinPrice: 3 }).toQueryString();
+  equal(qs, 'MinPrice=3&Added=%7B%22%24date%22%3A5%7D');
+  deepEqual(ProductFilter.fromQueryString('?' + qs).save(), {
+    MinPrice: 3, Added: new Date(5)
+  });
+});
+
+QUnit.test('Filter describe', function() {
+  var ProductFilter = Filter.create([
+    { MinPrice: Filter.Gte('price') },
+    { Before:   Filter.Lt('added') },
+    { InStock:  Filter.Exists('stock') },
+    { OnSale:   Filter.Eq('onSale', 'boolean') },
+    { Colours:  Filter.In('colour') },
+    { NotOver:  Filter.Not(Filter.Gt('weight')) },
+    { Price:    Filter.Between('price') },
+    { Added:    Filter.Between('added') },
+    { Range:    Filter.Between('size') },
+    { Cost:     {
+      filter: Filter.Lte('cost'),
+      meta:   {
+        label:  'Cost',
+        phrase: '≤',
+        format: function (value) {
+          return '£' + value.toFixed(2);
+        },
+      },
+    } },
+  ]);
+  var added = new Date(2015, 11, 20);
+  var filter = new ProductFilter({
+    MinPrice: 3,
+    Before:   added,
+    InStock:  false,
+    OnSale:   true,
+    Colours:  ['red', 'blue'],
+    NotOver:  10,
+    Price:    { min: 5, minInclusive: false },
+    Added:    { max: added },
+    Range:    { min: 1, max: 5 },
+    Cost:     4,
+  });
+  var describe = function (locale) {
+    return filter.describe(locale).map(function(item){
+      return [item.label, item.operator, item.value].join(' ');
+    });
+  };
+
+  deepEqual(describe(), [
+    'MinPrice at least 3',
+    'Before before ' + added.toDateString(),
+    'InStock is not set ',
+    'OnSale is yes',
+    'Colours one of red, blue',
+    'NotOver not more than 10',
+    'Price more than 5',
+    'Added on or before ' + added.toDateString(),
+    'Range between 1 – 5',
+    'Cost ≤ £4.00',
+  ]);
+
+  var locale = {
+    operators: { gte: 'au moins', 'lt.date': 'avant' },
+    list:    ' / ',
+    'null':  'rien',
+    'true':  'oui',
+    'false': 'non',
+    date:    function () {
+      return '20/12/2015';
+    },
+  };
+  deepEqual(describe(locale).slice(0, 5), [
+    'MinPrice au moins 3',
+    'Before avant 20/12/2015',
+    'InStock exists ',
+    'OnSale eq oui',
+    'Colours in red / blue',
+  ]);
+  throws(function() {
+    filter.describe('xx');
+  }, /There is no locale xx/);
+
+  var DateFilter = Filter.create([
+    { Added:   Filter.RelativeDate('added') },
+    { Due:     Filter.RelativeDate('due') },
+    { Updated: Filter.RelativeDate('updated') },
+    { Seen:    Filter.RelativeDate('seen') },
+  ]);
+  var dates = new DateFilter({
+    Added:   { last: 7, unit: 'days' },
+    Due:     'this-month',
+    Updated: { next: 1, unit: 'weeks' },
+    Seen:    'yesterday',
+  });
+  var values = function (locale) {
+    return dates.describe(locale).map(function(item){
+      return item.value;
+    });
+  };
+  deepEqual(values(), ['the last 7 days', 'this month', 'the next 1 week', 'yesterday']);
+  deepEqual(values({
+    relativeDate: {
+      'last.count': 'les {count} derniers {unit}',
+      'this':       'ce {unit}',
+      yesterday:    'hier',
+    },
+    units: {
+      day:   ['jour', 'jours'],
+      month: ['mois', 'mois'],
+    },
+  }), ['les 7 derniers jours', 'ce mois', 'the next 1 week', 'hier']);
+});
+
+QUnit.test('Filter.publish', function() {
+  var root = typeof global !== 'undefined' ? global : window;
+  var saved = { Meteor: root.Meteor, check: root.check, Match: root.Match };
+  var handlers = {};
+  var checked = [];
+  root.Meteor = {
+    publish: function (name, handler) {
+      handlers[name] = handler;
+    },
+    Error: function (error, reason) {
+      var e = new Error(reason);
+      e.error = error;
+      return e;
+    },
+  };
+  root.Match = {
+    OneOf: function () {
+      return { oneOf: Array.prototype.slice.call(arguments) };
+    },
+  };
+  root.check = function (value, pattern) {
+    checked.push(pattern);
+  };
+
+  try {
+    var OrderFilter = Filter.create({
+      version: 2,
+      migrations: {
+        2: function (values) {
+          if (values.hasOwnProperty('Min')) {
+            values.MinTotal = values.Min;
+            delete values.Min;
+          }
+          return values;
+        },
+      },
+      filters: {
+        Tenant:   { filter: Filter.Eq('tenant'), locked: true },
+        MinTotal: Filter.Gte('total'),
+      },
+    });
+    var context = { userId: 'u1' };
+    Filter.publish('orders', function (query, filter) {
+      return { query: query, filter: filter, context: this };
+    }, OrderFilter, function () {
+      return { Tenant: 'tenant-of-' + this.userId };
+    });
+
+    var result = handlers.orders.call(context, { MinTotal: 5, $version: 2 });
+    deepEqual(checked, [{ oneOf: [null, undefined, Object] }]);
+    deepEqual(result.query, { tenant: 'tenant-of-u1', total: { $gte: 5 } });
+    strictEqual(result.context, context);
+    equal(result.filter.get('Tenant'), 'tenant-of-u1');
+
+    deepEqual(handlers.orders.call(context, { Min: 3 }).query, {
+      tenant: 'tenant-of-u1',
+      total:  { $gte: 3 },
+    });
+    deepEqual(handlers.orders.call(context).query, { tenant: 'tenant-of-u1' });
+
+    throws(function() {
+      handlers.orders.call(context, { Colour: 'red' });
+    }, /There is no filter spec for Colour/);
+    throws(function() {
+      handlers.orders.call(context, { Tenant: 'other' });
+    }, /Tenant is locked/);
+    throws(function() {
+      handlers.orders.call(context, { MinTotal: 'x' });
+    }, /Invalid value passed to Gte/);
+    throws(function() {
+      handlers.orders.call(context, { $version: 3 });
+    }, /newer than 2/);
+    throws(function() {
+      handlers.orders.call(context, { $page: { page: 1, size: 1e9 } });
+    }, /Page size can not be more than 100/);
+
+    var TenantFilter = Filter.create({
+      filters: {
+        Tenant: { filter: Filter.Eq('t'), locked: true, default: 'acme' },
+        Name:   Filter.Eq('name'),
+      },
+    });
+    Filter.publish('customers', function (query) {
+      return query;
+    }, Filter.create({
+      filters: {
+        Sub: TenantFilter.at('sub'),
+      },
+    }));
+    deepEqual(handlers.customers.call(context, { Sub: { Name: 'x' } }), {
+      'sub.t': 'acme', 'sub.name': 'x'
+    });
+    throws(function() {
+      handlers.customers.call(context, { Sub: { Tenant: 'evil' } });
+    }, /Sub.Tenant is locked/);
+  } finally {
+    Object.keys(saved).forEach(function(k){
+      if (typeof saved[k] === 'undefined') {
+        delete root[k];
+      } else {
+        root[k] = saved[k];
+      }
+    });
+  }
+});
+
+QUnit.test('Filter isImpossible', function() {
+  var ProductFilter = Filter.create([
+    { MinPrice: Filter.Gt('price') },
+    { MaxPrice: Filter.Lte('price') },
+    { Colour:   Filter.Eq('colour') },
+    { Exclude:  Filter.Nin('colour') },
+    { InStock:  Filter.Exists('stock') },
+    { MinStock: Filter.Gte('stock') },
+  ]);
+
+  equal(new ProductFilter({
+    MinPrice: 5,
+    MaxPrice: 10,
+    Colour:   'red',
+    Exclude:  ['blue'],
+  }).isImpossible(), false);
+  deepEqual(new ProductFilter({
+    MinPrice: 5,
+    MaxPrice: 5,
+  }).isImpossible(), [
+    { field: 'price', names: ['MinPrice', 'MaxPrice'] },
+  ]);
+  deepEqual(new ProductFilter({
+    Colour:   'red',
+    Exclude:  ['blue', 'red'],
+    InStock:  false,
+    MinStock: 1,
+  }).isImpossible(), [
+    { field: 'colour', names: ['Colour', 'Exclude'] },
+    { field: 'stock',  names: ['InStock', 'MinStock'] },
+  ]);
+
+  var AddressFilter = Filter.create([
+    { City:    Filter.Eq('city') },
+    { NotCity: Filter.Ne('city') },
+  ]);
+  var CustomerFilter = Filter.create([
+    { City:    { filter: Filter.Eq('address.city'), meta: { scalar: true } } },
+    { Cities:  Filter.In('address.city') },
+    { Address: AddressFilter.at('home') },
+  ]);
+  equal(new CustomerFilter({ City: 'London' }).isImpossible(), false);
+  equal(new CustomerFilter({ City: 'London', Cities: ['London', 'Leeds'] }).isImpossible(), false);
+  deepEqual(new CustomerFilter({ City: 'London', Cities: ['Leeds'] }).isImpossible(), [
+    { field: 'address.city', names: ['City', 'Cities'] },
+  ]);
+  equal(new CustomerFilter({ Address: { City: 'London' } }).isImpossible(), false);
+  deepEqual(new CustomerFilter({
+    Address: { City: 'London', NotCity: 'London' },
+  }).isImpossible(), [
+    { field: 'home.city', names: ['Address'] },
+  ]);
+
+  var TagFilter = Filter.create([
+    { Any:     Filter.In('tags') },
+    { Also:    Filter.In('tags') },
+    { Without: Filter.Nin('tags') },
+    { Count:   Filter.Size('tags') },
+    { Missing: Filter.Exists('tags') },
+  ]);
+  var tags = new TagFilter({ Any: ['a', 'x'], Also: ['b', 'y'] });
+  equal(tags.isImpossible(), false);
+  ok(tags.matches({ tags: ['a', 'b'] }));
+  equal(new TagFilter({ Any: ['a', 'x'], Without: ['a'] }).isImpossible(), false);
+  deepEqual(new TagFilter({ Any: ['a', 'x'], Without: ['x', 'a'] }).isImpossible(), [
+    { field: 'tags', names: ['Any', 'Without'] },
+  ]);
+  equal(new TagFilter({ Any: ['a'], Count: 2, Without: ['b'] }).isImpossible(), false);
+  deepEqual(new TagFilter({ Count: 2, Missing: false }).isImpossible(), [
+    { field: 'tags', names: ['Count', 'Missing'] },
+  ]);
+  var ScalarTagFilter = TagFilter.extend({
+    filters: { Any: { filter: Filter.In('tags'), meta: { scalar: true } } },
+  });
+  deepEqual(new ScalarTagFilter({ Any: ['a', 'x'], Also: ['b', 'y'] }).isImpossible(), [
+    { field: 'tags', names: ['Any', 'Also'] },
+  ]);
+});
+
+QUnit.test('Filter extend and compose', function() {
+  var AuditFilter = Filter.create({
+    type:    'Audit',
+    filters: [
+      { CreatedAfter: Filter.Gt('createdAt') },
+      { CreatedBy:    { filter: Filter.Eq('createdBy'), meta: { label: 'By' } } },
+    ],
+  });
+  var ProductFilter = AuditFilter.extend({
+    type:    'Product',
+    filters: [
+      { MinPrice:  Filter.Gte('price') },
+      { CreatedBy: Filter.In('createdBy') },
+    ],
+  });
+
+  deepEqual(ProductFilter.names(), ['CreatedAfter', 'CreatedBy', 'MinPrice']);
+  equal(ProductFilter.type(), 'Product');
+  equal(AuditFilter.type(), 'Audit');
+  deepEqual(new ProductFilter({ CreatedBy: ['bob', 'jim'] }).query(), {
+    createdBy: { $in: ['bob', 'jim'] }
+  });
+  deepEqual(AuditFilter.extend({
+    filters: { CreatedAfter: null }
+  }).names(), ['CreatedBy']);
+
+  var ExtendedAudit = AuditFilter.extend({ filters: [] });
+  ExtendedAudit.meta('CreatedBy', { label: 'Creator' });
+  ExtendedAudit.meta('CreatedAfter', { label: 'After' });
+  equal(ExtendedAudit.meta('CreatedBy').label, 'Creator');
+  equal(ExtendedAudit.meta('CreatedAfter').label, 'After');
+  equal(ExtendedAudit.meta('CreatedAfter').operator, 'gt');
+  equal(AuditFilter.meta('CreatedBy').label, 'By');
+  equal(AuditFilter.meta('CreatedAfter').label, undefined);
+
+  var CustomerFilter = Filter.compose(
+    Filter.create([{ Name: Filter.Eq('name') }]),
+    AuditFilter,
+    { prefix: 'Audit' }
+  );
+  deepEqual(CustomerFilter.names(), ['Name', 'AuditCreatedAfter', 'AuditCreatedBy']);
+  equal(CustomerFilter.meta('AuditCreatedBy').label, 'By');
+  deepEqual(new CustomerFilter({ Name: 'Bob', AuditCreatedBy: 'Jim' }).query(), {
+    name:      'Bob',
+    createdBy: 'Jim',
+  });
+  throws(function() {
+    Filter.compose(AuditFilter, AuditFilter);
+  });
+
+  var StockFilter = Filter.create({
+    sorts:   ['stock'],
+    presets: {
+      Low:   { MaxStock: 5, $sort: { name: 'stock' } },
+      Empty: function () { return { MaxStock: 0 }; },
+    },
+    filters: { MaxStock: Filter.Lte('stock') },
+  });
+  var ItemFilter = Filter.compose(
+    Filter.create({
+      presets: { Named: { Name: 'x' } },
+      filters: { Name: Filter.Eq('name') },
+    }),
+    StockFilter,
+    { prefix: 'Stock' }
+  );
+  deepEqual(ItemFilter.presets(), ['Named', 'StockLow', 'StockEmpty']);
+  var item = new ItemFilter();
+  item.applyPreset('StockLow');
+  deepEqual(item.save(), { StockMaxStock: 5, $sort: { name: 'stock', dir: 1 } });
+  item.applyPreset('StockEmpty');
+  equal(item.get('StockMaxStock'), 0);
+  equal(item.activePreset(), 'StockEmpty');
+  deepEqual(Filter.compose(ItemFilter, StockFilter, { presets: {} }).presets(), []);
+});
+
+QUnit.test('Filter nested specs', function() {
+  var AddressFilter = Filter.create([
+    { City: { filter: Filter.Eq('city'), meta: { label: 'city' } } },
+    { Zip:  Filter.In('zip') },
+  ]);
+  var CustomerFilter = Filter.create([
+    { Name:     Filter.Eq('name') },
+    { Address:  { filter: AddressFilter.at('address'), meta: { label: 'Address' } } },
+    { Previous: AddressFilter.at('previous', { array: true }) },
+  ]);
+  var filter = new CustomerFilter({
+    Address:  { City: 'London', Zip: ['E1', 'E2'] },
+    Previous: { City: 'Leeds' },
+  });
+
+  deepEqual(filter.query(), {
+    'address.city': 'London',
+    'address.zip':  { $in: ['E1', 'E2'] },
+    previous:       { $elemMatch: { city: 'Leeds' } },
+  });
+  deepEqual(filter.save().Address, { City: 'London', Zip: ['E1', 'E2'] });
+  deepEqual(CustomerFilter.names(true), [
+    'Name', 'Address.City', 'Address.Zip', 'Previous.City', 'Previous.Zip'
+  ]);
+  equal(CustomerFilter.meta('Address.City').label, 'city');
+  deepEqual(CustomerFilter.schema('Address').properties.Zip.type, 'array');
+
+  var described = filter.describe();
+  deepEqual(described.map(function(item){
+    return item.name + ': ' + item.label;
+  }), [
+    'Address.City: Address city',
+    'Address.Zip: Address Zip',
+    'Previous.City: Previous city',
+  ]);
+  described[0].remove();
+  deepEqual(filter.save().Address, { Zip: ['E1', 'E2'] });
+
+  throws(function() {
+    filter.set('Address', { Unknown: 1 });
+  }, /Address: There is no filter spec for Unknown/);
+});
+
+QUnit.test('Filter default, required and locked entries', function() {
+  var OrderFilter = Filter.create({
+    filters: {
+      Tenant:   { filter: Filter.Eq('tenant'), required: true, locked: true },
+      Status:   { filter: Filter.Eq('status'), default: 'active' },
+      Priority: { filter: Filter.Gte('priority'), required: true, default: 1 },
+      MinTotal: Filter.Gte('total'),
+    },
+  });
+
+  throws(function() {
+    new OrderFilter();
+  }, /Tenant is required/);
+
+  var filter = new OrderFilter({ Tenant: 't1', MinTotal: 5 });
+  deepEqual(filter.save(), { Tenant: 't1', Status: 'active', Priority: 1, MinTotal: 5 });
+
+  filter.set({ Status: 'closed', Priority: 3 });
+  filter.clear();
+  deepEqual(filter.save(), { Tenant: 't1', Status: 'active', Priority: 1 });
+
+  throws(function() {
+    filter.set('Tenant', 't2');
+  }, /Tenant is locked/);
+  throws(function() {
+    filter.unset('Priority');
+  }, /Priority is required/);
+  filter.set('Tenant', 't1');
+  filter.set('Tenant', 't2', { override: true });
+  equal(filter.get('Tenant'), 't2');
+  filter.reset();
+  equal(filter.get('Tenant'), 't1');
+
+  equal(filter.toQueryString(), 'Status=%22active%22&Priority=1&MinTotal=5');
+  throws(function() {
+    OrderFilter.fromQueryString('Tenant=%22t2%22');
+  }, /Tenant is locked/);
+  equal(OrderFilter.fromQueryString('MinTotal=5', { Tenant: 't3' }).get('Tenant'), 't3');
+  deepEqual(filter.describe().map(function(item){
+    return item.name + ': ' + (item.remove ? 'removable' : 'fixed');
+  }), [
+    'Tenant: fixed',
+    'Status: removable',
+    'Priority: fixed',
+    'MinTotal: removable',
+  ]);
+
+  throws(function() {
+    filter.clone({ Tenant: 't2' });
+  }, /Tenant is locked/);
+  deepEqual(filter.clone({ MinTotal: 7 }).save(), {
+    Tenant: 't1', Status: 'active', Priority: 1, MinTotal: 7
+  });
+  equal(filter.clone({ MinTotal: 7 }).canUndo(), false);
+  deepEqual(OrderFilter.validate({ Tenant: 't1' }), []);
+
+  var TenantFilter = Filter.create({
+    filters: {
+      Tenant: { filter: Filter.Eq('t'), locked: true, default: 'acme' },
+      Name:   Filter.Eq('name'),
+    },
+  });
+  var OuterFilter = Filter.create({
+    filters: {
+      Sub: TenantFilter.at('sub'),
+    },
+  });
+  var outer = new OuterFilter({ Sub: { Tenant: 'trusted' } });
+  deepEqual(outer.query(), { 'sub.t': 'trusted' });
+  throws(function() {
+    outer.set('Sub', { Tenant: 'evil' });
+  }, /Sub: Tenant is locked/);
+  throws(function() {
+    outer.clone({ Sub: { Tenant: 'evil' } });
+  }, /Sub: Tenant is locked/);
+  throws(function() {
+    outer.set('Sub', { Name: 'x' });
+  }, /Sub: Tenant is locked/);
+  outer.set('Sub', { Tenant: 'trusted', Name: 'x' });
+  deepEqual(outer.query(), { 'sub.t': 'trusted', 'sub.name': 'x' });
+  outer.set('Sub', { Tenant: 'evil' }, { override: true });
+  deepEqual(outer.query(), { 'sub.t': 'evil' });
+
+  outer = new OuterFilter();
+  throws(function() {
+    outer.set('Sub', { Tenant: 'evil' });
+  }, /Sub: Tenant is locked/);
+  outer.set('Sub', { Name: 'x' });
+  outer.set('Sub', { Name: 'y' });
+  deepEqual(outer.query(), { 'sub.t': 'acme', 'sub.name': 'y' });
+  deepEqual(OuterFilter._unlocked(outer.save()), { Sub: { Name: 'y' } });
+  deepEqual(OuterFilter._locked({ Sub: { Tenant: 'evil', Name: 'y' } }), ['Sub.Tenant']);
+  throws(function() {
+    OuterFilter.fromQueryString('Sub=%7B%22Tenant%22%3A%22evil%22%7D');
+  }, /Sub.Tenant is locked/);
+});
+
+QUnit.test('Filter validation errors', function() {
+  var AddressFilter = Filter.create([
+    { City: Filter.Eq('city') },
+  ]);
+  var ProductFilter = Filter.create({
+    filters: {
+      MinPrice: Filter.Gte('price'),
+      MaxPrice: Filter.Lte('price'),
+      Tenant:   { filter: Filter.Eq('tenant'), required: true },
+      Address:  AddressFilter.at('address'),
+    },
+  });
+  var filter = new ProductFilter({ Tenant: 't1', MinPrice: 3 });
+  var error;
+
+  try {
+    filter.set({ MinPrice: 5, MaxPrice: 'wibble', Unknown: 1 });
+  } catch (e) {
+    error = e;
+  }
+  ok(error instanceof Filter.ValidationError);
+  ok(error instanceof Error);
+  deepEqual(error.errors.map(function(e){
+    return [e.name, e.value, e.reason];
+  }), [
+    ['MaxPrice', 'wibble', 'invalid'],
+    ['Unknown', 1, 'unknown'],
+  ]);
+  deepEqual(filter.save(), { Tenant: 't1', MinPrice: 3 });
+
+  throws(function() {
+    filter.unset('Tenant');
+  }, Filter.ValidationError);
+
+  deepEqual(ProductFilter.validate({ Tenant: 't1', MinPrice: 1 }), []);
+  deepEqual(ProductFilter.validate({
+    MinPrice: 'x',
+    Address:  { Street: 'High St' },
+  }).map(function(e){
+    return [e.name, e.reason, e.message];
+  }), [
+    ['MinPrice', 'invalid', 'Invalid value passed to Gte for price'],
+    ['Address.Street', 'unknown', 'Address: There is no filter spec for Street'],
+    ['Tenant', 'required', 'Tenant is required'],
+  ]);
+
+  var events = [];
+  filter.set('MaxPrice', 10);
+  filter.on('change', function (event) {
+    events.push(event.names);
+  });
+  throws(function() {
+    filter.clear({ MaxPrice: 'x' });
+  }, Filter.ValidationError);
+  throws(function() {
+    filter.reset({ MinPrice: 'x' });
+  }, Filter.ValidationError);
+  deepEqual(filter.save(), { Tenant: 't1', MinPrice: 3, MaxPrice: 10 });
+  deepEqual(events, []);
+
+  filter.clear();
+  deepEqual(filter.save(), { Tenant: 't1' });
+  deepEqual(events, [['MinPrice', 'MaxPrice']]);
+  filter.undo();
+  deepEqual(filter.save(), { Tenant: 't1', MinPrice: 3, MaxPrice: 10 });
+});
+
+QUnit.test('Filter sort and page', function() {
+  var ProductFilter = Filter.create({
+    sorts:    { Price: 'price' },
+    pageSize: 10,
+    filters:  { MinPrice: Filter.Gte('price') },
+  });
+  var filter = new ProductFilter({ MinPrice: 3 });
+
+  deepEqual(ProductFilter.sorts(), ['Price']);
+  deepEqual(filter.options(), {});
+  filter.sort('Price', 'desc');
+  filter.page(3);
+  deepEqual(filter.sort(), { name: 'Price', dir: -1 });
+  deepEqual(filter.options(), { sort: { price: -1 }, skip: 20, limit: 10 });
+
+  filter.set('MinPrice', 4);
+  deepEqual(filter.page(), { page: 1, size: 10 });
+  filter.set({ MinPrice: 5, $page: { page: 2, size: 5 } });
+  deepEqual(filter.page(), { page: 2, size: 5 });
+
+  var schema = ProductFilter.schema();
+  deepEqual(Object.keys(schema.properties), ['MinPrice', '$sort', '$page']);
+  deepEqual(schema.properties.$sort.properties.name, { 'enum': ['Price'] });
+  deepEqual(schema.properties.$page.required, ['page']);
+  equal(Filter.create({ filters: { A: Filter.Eq('a') } }).schema().properties.$sort, undefined);
+  equal(Filter.create({
+    version: 2,
+    filters: { A: Filter.Eq('a') },
+  }).schema().properties.$version.maximum, 2);
+  deepEqual(Object.keys(ProductFilter.at('product').meta.schema.properties), ['MinPrice']);
+
+  filter.clear();
+  deepEqual(filter.save(), {
+    $sort: { name: 'Price', dir: -1 },
+    $page: { page: 1, size: 5 },
+  });
+  throws(function() {
+    filter.sort('Unknown');
+  });
+  throws(function() {
+    filter.page(0);
+  });
+  throws(function() {
+    filter.page(1, 101);
+  }, /Page size can not be more than 100/);
+  filter.page(1, 100);
+  equal(ProductFilter.schema().properties.$page.properties.size.maximum, 100);
+
+  var Limited = ProductFilter.extend({ maxPageSize: 10 });
+  throws(function() {
+    new Limited({ $page: { page: 1, size: 11 } });
+  }, /Page size can not be more than 10/);
+  equal(Limited.schema().properties.$page.properties.size.maximum, 10);
+  equal(ProductFilter.extend({ pageSize: 500 }).schema().properties.$page.properties.size.maximum, 500);
+  throws(function() {
+    ProductFilter.extend({ pageSize: 50, maxPageSize: 10 });
+  }, /maxPageSize must be an integer, and at least pageSize/);
+});
+
+QUnit.test('Filter pipeline', function() {
+  var ProductFilter = Filter.create({
+    sorts: ['price'],
+    filters: {
+      MinPrice: Filter.Gte('price'),
+      Search: function (value) {
+        return { $and: [ { $text: { $search: value } }, { active: true } ] };
+      },
+      Custom: Filter.Where(function (value) {
+        return this.a > value;
+      }),
+      Nearby: Filter.Near('location'),
+    },
+  });
+  var filter = new ProductFilter({ MinPrice: 3, Search: 'red' });
+
+  deepEqual(filter.pipeline(), [
+    { $match: { price: { $gte: 3 }, $text: { $search: 'red' }, active: true } },
+  ]);
+
+  deepEqual(filter.pipeline({ count: true })[1], {
+    $facet: {
+      results: [ { $skip: 0 } ],
+      count:   [ { $count: 'count' } ],
+    },
+  });
+
+  filter.set({ $sort: { name: 'price', dir: -1 }, $page: { page: 3, size: 10 } });
+  deepEqual(filter.pipeline({ query: { active: true } }), [
+    { $match: { price: { $gte: 3 }, $text: { $search: 'red' }, active: true } },
+    { $sort:  { price: -1 } },
+    { $skip:  20 },
+    { $limit: 10 },
+  ]);
+  deepEqual(filter.pipeline({ limit: 5, count: true })[1], {
+    $facet: {
+      results: [ { $sort: { price: -1 } }, { $skip: 20 }, { $limit: 5 } ],
+      count:   [ { $count: 'count' } ],
+    },
+  });
+
+  throws(function() {
+    filter.pipeline({ limit: 0 });
+  }, /Invalid limit/);
+  throws(function() {
+    new ProductFilter({ Custom: 1, MinPrice: 1 }).pipeline();
+  }, /\$where can not be used in an aggregation pipeline. Used by: Custom/);
+  throws(function() {
+    new ProductFilter({ Nearby: { point: [1, 2] } }).pipeline();
+  }, /\$near/);
+});
+
+QUnit.test('Filter undo and redo', function() {
+  var ProductFilter = Filter.create({
+    historyDepth: 2,
+    filters: {
+      MinPrice: Filter.Gte('price'),
+      MaxPrice: Filter.Lte('price'),
+    },
+  });
+  var filter = new ProductFilter({ MinPrice: 3 });
+
+  ok(!filter.canUndo());
+  filter.set({ MinPrice: 5, MaxPrice: 10 });
+  filter.set('MinPrice', 5);
+  filter.unset('MaxPrice');
+  filter.unset('MinPrice');
+
+  filter.undo();
+  deepEqual(filter.save(), { MinPrice: 5 });
+  ok(filter.canRedo());
+  filter.undo();
+  deepEqual(filter.save(), { MinPrice: 5, MaxPrice: 10 });
+  ok(!filter.canUndo());
+  filter.redo();
+  deepEqual(filter.save(), { MinPrice: 5 });
+  filter.set('MinPrice', 1);
+  ok(!filter.canRedo());
+});
+
+QUnit.test('Filter change events', function() {
+  var ProductFilter = Filter.create({
+    filters: {
+      MinPrice: Filter.Gte('price'),
+      MaxPrice: Filter.Lte('price'),
+    },
+  });
+  var filter = new ProductFilter({ MinPrice: 3 });
+  var events = [];
+  var listener = function (event) {
+    events.push(event);
+  };
+
+  filter.on('change', listener);
+  filter.set({ MinPrice: 5, MaxPrice: 10 });
+  filter.set('MinPrice', 5);
+  filter.reset();
+  filter.off('change', listener);
+  filter.set('MinPrice', 1);
+
+  deepEqual(events, [{
+    names:     ['MinPrice', 'MaxPrice'],
+    oldValues: { MinPrice: 3 },
+    newValues: { MinPrice: 5, MaxPrice: 10 },
+  }, {
+    names:     ['MinPrice', 'MaxPrice'],
+    oldValues: { MinPrice: 5, MaxPrice: 10 },
+    newValues: { MinPrice: 3 },
+  }]);
+  throws(function() {
+    filter.on('unknown', listener);
+  });
+
+  events = [];
+  filter.on('change', listener);
+  filter.set({ MinPrice: 2, MaxPrice: 8 });
+  filter.unset('MaxPrice');
+  filter.clear();
+  filter.undo();
+  filter.redo();
+  deepEqual(events.map(function(event){
+    return [event.names, event.newValues];
+  }), [
+    [['MinPrice', 'MaxPrice'], { MinPrice: 2, MaxPrice: 8 }],
+    [['MaxPrice'], {}],
+    [['MinPrice'], {}],
+    [['MinPrice'], { MinPrice: 2 }],
+    [['MinPrice'], {}],
+  ]);
+
+  var root = typeof global !== 'undefined' ? global : window;
+  var realSetTimeout = root.setTimeout;
+  var later = [];
+  root.setTimeout = function (fn) {
+    later.push(fn);
+  };
+  try {
+    events = [];
+    var thrower = new ProductFilter();
+    thrower.on('change', function () {
+      throw new Error('listener failed');
+    });
+    thrower.on('change', listener);
+    thrower.set('MinPrice', 1);
+    deepEqual(thrower.save(), { MinPrice: 1 });
+    ok(thrower.canUndo());
+    equal(events.length, 1);
+    equal(later.length, 1);
+    throws(later[0], /listener failed/);
+  } finally {
+    root.setTimeout = realSetTimeout;
+  }
+});
+
+QUnit.test('Filter versions and migrations', function() {
+  var ProductFilter = Filter.create({
+    version: 3,
+    migrations: {
+      2: function (values) {
+        if (values.hasOwnProperty('Cost')) {
+          values.MinPrice = values.Cost;
+          delete values.Cost;
+        }
+        delete values.OnSale;
+        return values;
+      },
+      3: function (values) {
+        if (values.hasOwnProperty('MinPrice')) {
+          values.Price = { min: values.MinPrice };
+          delete values.MinPrice;
+        }
+        return values;
+      },
+    },
+    filters: {
+      Price: function (value) {
+        return { price: { $gte: value.min } };
+      },
+      Name: Filter.Eq('name'),
+    },
+  });
+
+  var filter = new ProductFilter({ Cost: 3, OnSale: true, Name: 'a', $version: 1 });
+  deepEqual(filter.save(), { Price: { min: 3 }, Name: 'a', $version: 3 });
+  deepEqual(new ProductFilter(filter.save()).save(), filter.save());
+  deepEqual(new ProductFilter({ MinPrice: 4, $version: 2 }).get('Price'), { min: 4 });
+
+  filter.reset({ Cost: 5, $version: 1 });
+  deepEqual(filter.save(), { Price: { min: 5 }, Name: 'a', $version: 3 });
+  equal(filter.toQueryString(), 'Price=%7B%22min%22%3A5%7D&Name=%22a%22&%24version=3');
+  deepEqual(ProductFilter.fromQueryString(filter.toQueryString()).save(), filter.save());
+  equal(ProductFilter.version(), 3);
+
+  throws(function() {
+    new ProductFilter({ $version: 4 });
+  }, /newer than 3/);
+  throws(function() {
+    ProductFilter.at('product');
+  }, /can not be nested/);
+
+  // Values from code are for the current version unless they say otherwise
+  deepEqual(ProductFilter.migrate({ Cost: 3 }), { Price: { min: 3 } });
+  deepEqual(new ProductFilter({ Price: { min: 6 } }).save(), { Price: { min: 6 }, $version: 3 });
+  filter.reset({ Price: { min: 8 } });
+  deepEqual(filter.save(), { Price: { min: 8 }, Name: 'a', $version: 3 });
+  deepEqual(ProductFilter.fromQueryString('Cost=7').save(), { Price: { min: 7 }, $version: 3 });
+
+  var Renamed = Filter.create({
+    version: 2,
+    migrations: {
+      2: function (values) {
+        if (values.hasOwnProperty('Status')) {
+          values.State = values.Status;
+          delete values.Status;
+        }
+        return values;
+      },
+    },
+    filters: {
+      Status: Filter.Eq('status'),
+      State:  Filter.Eq('state'),
+    },
+  });
+  deepEqual(new Renamed({ Status: 'open' }).save(), { Status: 'open', $version: 2 });
+  deepEqual(new Renamed({ Status: 'open', $version: 1 }).save(), { State: 'open', $version: 2 });
+  var renamed = new Renamed();
+  renamed.reset({ Status: 'closed' });
+  deepEqual(renamed.save(), { Status: 'closed', $version: 2 });
+  deepEqual(Renamed.fromQueryString('Status=%22open%22').save(), { State: 'open', $version: 2 });
+
+  var Unversioned = Filter.create({ filters: { Name: Filter.Eq('name') } });
+  deepEqual(new Unversioned({ Name: 'a', $version: 2 }).save(), { Name: 'a' });
+});
+
+QUnit.test('Filter presets', function() {
+  var ProductFilter = Filter.create({
+    sorts: ['price', 'added'],
+    presets: {
+      LowStock: { MaxStock: 5 },
+      NewThisWeek: {
+        Added: { last: 7, unit: 'days' },
+        $sort: { name: 'added', dir: -1 },
+      },
+      OnSale: function (filter) {
+        return { OnSale: true, MaxStock: filter.get('MaxStock') || 100 };
+      },
+      Computed: { MaxStock: function () { return 2 + 3; } },
+      Broken: { Colour: 'red' },
+    },
+    filters: {
+      Tenant:   { filter: Filter.Eq('tenant'), locked: true },
+      MaxStock: Filter.Lte('stock'),
+      OnSale:   Filter.Eq('onSale', 'boolean'),
+      Added:    Filter.RelativeDate('added'),
+    },
+  });
+
+  deepEqual(ProductFilter.presets(), ['LowStock', 'NewThisWeek', 'OnSale', 'Computed', 'Broken']);
+
+  var filter = new ProductFilter({ Tenant: 't1', OnSale: true });
+  equal(filter.activePreset(), null);
+
+  filter.applyPreset('LowStock');
+  deepEqual(filter.save(), { Tenant: 't1', MaxStock: 5 });
+  equal(filter.activePreset(), 'LowStock');
+
+  filter.applyPreset('NewThisWeek');
+  deepEqual(filter.save(), {
+    Tenant: 't1',
+    Added:  { last: 7, unit: 'days' },
+    $sort:  { name: 'added', dir: -1 },
+  });
+  equal(filter.activePreset(), 'NewThisWeek');
+  filter.set('MaxStock', 10);
+  equal(filter.activePreset(), null);
+
+  filter.set('MaxStock', 7).applyPreset('OnSale');
+  equal(filter.get('MaxStock'), 7);
+  equal(filter.activePreset(), 'OnSale');
+
+  filter.applyPreset('Computed');
+  equal(filter.get('MaxStock'), 5);
+  equal(filter.activePreset(), 'LowStock');
+  filter.undo();
+  equal(filter.activePreset(), 'OnSale');
+
+  throws(function() {
+    filter.applyPreset('Broken');
+  }, /There is no filter spec for Colour/);
+  equal(filter.activePreset(), 'OnSale');
+  throws(function() {
+    filter.applyPreset('Unknown');
+  }, /There is no preset Unknown/);
+});
+
+QUnit.test('Filter persist', function() {
+  var ProductFilter = Filter.create({
+    sorts: ['price'],
+    filters: {
+      Tenant:   { filter: Filter.Eq('tenant'), locked: true },
+      MinPrice: Filter.Gte('price'),
+      Added:    Filter.Gt('added'),
+    },
+  });
+
+  var storage = Filter.storage.memory();
+  var saves = 0;
+  var counting = {
+    load: storage.load,
+    save: function (key, values) {
+      saves++;
+      storage.save(key, values);
+    },
+  };
+
+  var filter = new ProductFilter({ Tenant: 't1' });
+  var handle = filter.persist(counting, 'products');
+  deepEqual(filter.save(), { Tenant: 't1' });
+
+  filter.set('MinPrice', 3);
+  filter.set({ Added: new Date(5), $sort: { name: 'price', dir: 1 } });
+  handle.stop();
+  equal(saves, 1);
+  filter.set('MinPrice', 4);
+  handle.stop();
+  equal(saves, 1);
+
+  filter = new ProductFilter({ Tenant: 't2', MinPrice: 1 });
+  filter.persist(storage, 'products');
+  deepEqual(filter.save(), {
+    Tenant:   't2',
+    MinPrice: 3,
+    Added:    new Date(5),
+    $sort:    { name: 'price', dir: 1 },
+  });
+  equal(filter.canUndo(), false);
+
+  storage.save('invalid', { Colour: 'red' });
+  filter = new ProductFilter({ Tenant: 't3' });
+  filter.persist(storage, 'invalid').stop();
+  deepEqual(filter.save(), { Tenant: 't3' });
+
+  throws(function() {
+    filter.persist({}, 'products');
+  }, /load and save/);
+  throws(function() {
+    Filter.storage.collection({});
+  });
+});
+
+QUnit.test('Filter.storage.collection', function() {
+  var root = typeof global !== 'undefined' ? global : window;
+  var saved = { Meteor: root.Meteor, Tracker: root.Tracker };
+  var computations = [];
+  var loggingIn = true;
+  var ready = false;
+  var docs = {};
+  root.Meteor = {
+    userId: function () {
+      return loggingIn ? null : 'u1';
+    },
+    loggingIn: function () {
+      return loggingIn;
+    },
+  };
+  root.Tracker = {
+    autorun: function (fn) {
+      var computation = {
+        stopped: false,
+        stop: function () {
+          this.stopped = true;
+        },
+        rerun: function () {
+          if (!this.stopped) fn(this);
+        },
+      };
+      computations.push(computation);
+      fn(computation);
+      return computation;
+    },
+    nonreactive: function (fn) {
+      return fn();
+    },
+  };
+  var rerun = function () {
+    computations.forEach(function(c){
+      c.rerun();
+    });
+  };
+  var collection = {
+    findOne: function (id) {
+      return docs[id];
+    },
+    insert: function (doc) {
+      docs[doc._id] = doc;
+    },
+    update: function (id, modifier) {
+      docs[id].values = modifier.$set.values;
+    },
+  };
+
+  try {
+    var ProductFilter = Filter.create([{ MinPrice: Filter.Gte('price') }]);
+    var storage = Filter.storage.collection(collection, {
+      ready: function () {
+        return ready;
+      },
+    });
+
+    var filter = new ProductFilter();
+    var handle = filter.persist(storage, 'products');
+    filter.set('MinPrice', 1);
+    handle.stop();
+    deepEqual(docs, {});
+
+    docs['u1/products'] = {
+      _id: 'u1/products', userId: 'u1', key: 'products', values: '{"MinPrice":3}',
+    };
+    filter = new ProductFilter();
+    handle = filter.persist(storage, 'products');
+    loggingIn = false;
+    rerun();
+    equal(filter.get('MinPrice'), undefined);
+    ready = true;
+    rerun();
+    equal(filter.get('MinPrice'), 3);
+
+    filter.set('MinPrice', 4);
+    handle.stop();
+    equal(docs['u1/products'].values, '{"MinPrice":4}');
+
+    filter = new ProductFilter();
+    filter.persist(storage, 'other').stop();
+    filter.set('MinPrice', 5);
+    equal(docs['u1/other'], undefined);
+    handle = filter.persist(storage, 'other');
+    filter.set('MinPrice', 6);
+    handle.stop();
+    deepEqual(docs['u1/other'], {
+      _id: 'u1/other', userId: 'u1', key: 'other', values: '{"MinPrice":6}',
+    });
+  } finally {
+    Object.keys(saved).forEach(function(k){
+      if (typeof saved[k] === 'undefined') {
+        delete root[k];
+      } else {
+        root[k] = saved[k];
+      }
+    });
+  }
+});
+
 function ucfirst(str) {
   return str.substr(0, 1).toUpperCase() + str.slice(1);
 }
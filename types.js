@@ -0,0 +1,190 @@
+Filter = typeof Filter === 'undefined' ? {} : Filter;
+
+/**
+ * Value types, for converting user input (e.g. Strings from form
+ * fields or query strings) into the values a query needs. The
+ * comparison factories take a type as an optional second argument:
+ *
+ *   Filter.Eq('active', { type: 'boolean' })('true')
+ *
+ *   { active: true }
+ *
+ * A type is either a name, or an Object with a "type" name and any
+ * options for it. Add to Filter.types to create your own. Each has:
+ *
+ *   coerce(value, options) Returns the converted value, or undefined
+ *                          if it can't be converted
+ *   schema(options)        JSON Schema for the converted value
+ */
+Filter.types = Filter.types || {};
+
+Filter.types.number = {
+  coerce: function (value) {
+    if (typeof value === 'string' && value.trim() !== '') value = Number(value);
+    if (typeof value !== 'number' || !isFinite(value)) return undefined;
+    return value;
+  },
+  schema: function () {
+    return { type: 'number' };
+  },
+};
+
+Filter.types.integer = {
+  coerce: function (value) {
+    value = Filter.types.number.coerce(value);
+    if (typeof value === 'undefined' || value % 1 !== 0) return undefined;
+    return value;
+  },
+  schema: function () {
+    return { type: 'integer' };
+  },
+};
+
+Filter.types.string = {
+  coerce: function (value) {
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    if (typeof value !== 'string') return undefined;
+    return value;
+  },
+  schema: function () {
+    return { type: 'string' };
+  },
+};
+
+Filter.types.boolean = {
+  coerce: function (value) {
+    if (typeof value === 'boolean') return value;
+    var strings = {
+      'true': true, yes: true, on:  true, '1': true,
+      'false': false, no: false, off: false, '0': false,
+    };
+    var key = String(value).trim().toLowerCase();
+    if ((typeof value !== 'string' && typeof value !== 'number')
+      || !strings.hasOwnProperty(key)
+    ) {
+      return undefined;
+    }
+    return strings[ key ];
+  },
+  schema: function () {
+    return { type: 'boolean' };
+  },
+};
+
+/**
+ * Dates, ISO 8601 Strings like "2015-12-20" or
+ * "2015-12-20T12:29:19Z", or milliseconds since the epoch
+ */
+Filter.types.date = {
+  coerce: function (value) {
+    if (typeof value === 'string') {
+      if (!/^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)) {
+        return undefined;
+      }
+      value = new Date(value);
+    } else if (typeof value === 'number') {
+      value = new Date(value);
+    }
+    if (!(value instanceof Date) || isNaN(value.getTime())) return undefined;
+    return value;
+  },
+  schema: function () {
+    return { type: 'string', format: 'date-time' };
+  },
+};
+
+/**
+ * ObjectIDs, or their 24 character hex Strings. Strings are converted
+ * with Mongo.ObjectID where it exists, and are otherwise left as
+ * lower case Strings
+ */
+Filter.types.objectId = {
+  coerce: function (value) {
+    if (value !== null && typeof value === 'object'
+      && (typeof value.toHexString === 'function' || typeof value._str === 'string')
+    ) {
+      return value;
+    }
+    if (typeof value !== 'string' || !/^[0-9a-fA-F]{24}$/.test(value)) return undefined;
+    value = value.toLowerCase();
+    if (typeof Mongo !== 'undefined' && Mongo.ObjectID) return new Mongo.ObjectID(value);
+    return value;
+  },
+  schema: function () {
+    return { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+  },
+};
+
+/**
+ * One of options.values. Strings match non-String values which look
+ * the same, so "2" gives 2 if 2 is allowed
+ */
+Filter.types['enum'] = {
+  coerce: function (value, options) {
+    var values = options.values || [];
+    for (var i = 0; i < values.length; ++i) {
+      if (values[i] === value) return value;
+    }
+    if (typeof value !== 'string') return undefined;
+    for (i = 0; i < values.length; ++i) {
+      if (values[i] !== null && typeof values[i] !== 'object' && String(values[i]) === value) {
+        return values[i];
+      }
+    }
+    return undefined;
+  },
+  schema: function (options) {
+    return { 'enum': [].concat(options.values || []) };
+  },
+};
+
+/**
+ * Normalises a type to an Object with a "type" name, checking that
+ * the type exists
+ *
+ * @param  {String|Object} type E.g. 'boolean' or { type: 'boolean' }
+ * @return {Object}             E.g. { type: 'boolean' }
+ */
+Filter.valueType = function valueType(type) {
+  if (typeof type === 'string') type = { type: type };
+  if (type === null || typeof type !== 'object'
+    || !Filter.types.hasOwnProperty(type.type)
+  ) {
+    throw new Error('Unknown value type ' + (type && type.type || type));
+  }
+  if (type.type === 'enum' && !Array.isArray(type.values)) {
+    throw new Error('The enum value type needs an Array of values');
+  }
+  return type;
+};
+
+/**
+ * Converts a value to a type. Throws if it can't. null is only
+ * allowed if the type has { nullable: true }
+ *
+ * @param  {anything}      value The value to convert
+ * @param  {String|Object} type  See Filter.valueType
+ * @return {anything}            The converted value
+ */
+Filter.coerce = function coerce(value, type) {
+  type = Filter.valueType(type);
+  if (value === null && type.nullable) return null;
+
+  var coerced = typeof value === 'undefined' || value === null
+    ? undefined
+    : Filter.types[ type.type ].coerce(value, type);
+  if (typeof coerced === 'undefined') {
+    throw new Error('Invalid ' + type.type + ': ' + String(value));
+  }
+  return coerced;
+};
+
+/**
+ * JSON Schema for a type
+ */
+Filter.typeSchema = function typeSchema(type) {
+  type = Filter.valueType(type);
+  var schema = Filter.types[ type.type ].schema(type);
+  if (type.nullable) schema = { anyOf: [ schema, { type: 'null' } ] };
+  return schema;
+};